@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/*
+ * Writes lib/config/Confusables.js from confusables.txt of UTS #39
+ * (https://www.unicode.org/Public/security/latest/confusables.txt), or,
+ * without one, from the copy of its Unicode 10.0.0 version that the
+ * unicode-confusables package (a dev dependency) has.
+ *
+ * Usage: node bin/gen-confusables.js [confusables.txt] > lib/config/Confusables.js
+ */
+
+'use strict';
+
+const fs = require( 'fs' );
+
+function hex( str ) {
+	return Array.from( str ).map( function ( c ) {
+		return c.codePointAt( 0 ).toString( 16 );
+	} ).join( ' ' );
+}
+
+// Confusable character -> its prototype
+let confusables = {};
+let version;
+if ( process.argv[ 2 ] ) {
+	let text = fs.readFileSync( process.argv[ 2 ], 'utf8' );
+	version = /^#\s*Version:\s*(\S+)/m.exec( text )[ 1 ];
+	text.split( '\n' ).forEach( function ( line ) {
+		let m = /^\s*([0-9A-F ]+?)\s*;\s*([0-9A-F ]+?)\s*;\s*MA\b/.exec( line );
+		if ( m ) {
+			let chars = [ m[ 1 ], m[ 2 ] ].map( function ( cps ) {
+				return String.fromCodePoint.apply( String, cps.split( ' ' ).map( function ( cp ) {
+					return parseInt( cp, 16 );
+				} ) );
+			} );
+			confusables[ chars[ 0 ] ] = chars[ 1 ];
+		}
+	} );
+} else {
+	version = '10.0.0';
+	confusables = require( 'unicode-confusables/data/confusables.json' );
+}
+
+// Prototype -> the characters confusable with it
+let groups = new Map();
+Object.keys( confusables ).sort( function ( a, b ) {
+	return a.codePointAt( 0 ) - b.codePointAt( 0 );
+} ).forEach( function ( c ) {
+	let prototype = hex( confusables[ c ] );
+	if ( !groups.has( prototype ) ) {
+		groups.set( prototype, [] );
+	}
+	groups.get( prototype ).push( hex( c ) );
+} );
+
+let lines = Array.from( groups.keys() ).sort( function ( a, b ) {
+	let x = a.split( ' ' ).map( function ( cp ) {
+		return parseInt( cp, 16 );
+	} );
+	let y = b.split( ' ' ).map( function ( cp ) {
+		return parseInt( cp, 16 );
+	} );
+	for ( let i = 0; i < Math.min( x.length, y.length ); i++ ) {
+		if ( x[ i ] !== y[ i ] ) {
+			return x[ i ] - y[ i ];
+		}
+	}
+	return x.length - y.length;
+} ).map( function ( prototype ) {
+	return '\t\'' + prototype + '\': \'' + groups.get( prototype ).join( ' ' ) + '\'';
+} );
+
+process.stdout.write( `/*
+ * The confusables of UTS #39 (Unicode ${ version }), for the skeletons of
+ * IdnPolicy: for each prototype (its code points in hex), the code
+ * points (in hex) of the characters that look like it.
+ *
+ * Generated by bin/gen-confusables.js.
+ */
+
+'use strict';
+
+/* eslint-disable quote-props */
+module.exports = Object.freeze( {
+${ lines.join( ',\n' ) }
+} );
+` );
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/*
+ * Writes lib/config/UnicodeScripts.js from the Unicode data of the Node
+ * running it, by matching every code point against `/\p{scx=Script}/u`.
+ * That needs Node 10 or later, and the Unicode version of the table is
+ * the one of that Node's ICU.
+ *
+ * Usage: node bin/gen-unicode-scripts.js > lib/config/UnicodeScripts.js
+ */
+
+'use strict';
+
+// The Script property values of Unicode 16.0, except Unknown
+const scripts = [
+	'Adlam', 'Ahom', 'Anatolian_Hieroglyphs', 'Arabic', 'Armenian', 'Avestan',
+	'Balinese', 'Bamum', 'Bassa_Vah', 'Batak', 'Bengali', 'Bhaiksuki', 'Bopomofo',
+	'Brahmi', 'Braille', 'Buginese', 'Buhid', 'Canadian_Aboriginal', 'Carian',
+	'Caucasian_Albanian', 'Chakma', 'Cham', 'Cherokee', 'Chorasmian', 'Common',
+	'Coptic', 'Cuneiform', 'Cypriot', 'Cypro_Minoan', 'Cyrillic', 'Deseret',
+	'Devanagari', 'Dives_Akuru', 'Dogra', 'Duployan', 'Egyptian_Hieroglyphs',
+	'Elbasan', 'Elymaic', 'Ethiopic', 'Garay', 'Georgian', 'Glagolitic', 'Gothic',
+	'Grantha', 'Greek', 'Gujarati', 'Gunjala_Gondi', 'Gurmukhi', 'Gurung_Khema',
+	'Han', 'Hangul', 'Hanifi_Rohingya', 'Hanunoo', 'Hatran', 'Hebrew', 'Hiragana',
+	'Imperial_Aramaic', 'Inherited', 'Inscriptional_Pahlavi',
+	'Inscriptional_Parthian', 'Javanese', 'Kaithi', 'Kannada', 'Katakana', 'Kawi',
+	'Kayah_Li', 'Kharoshthi', 'Khitan_Small_Script', 'Khmer', 'Khojki',
+	'Khudawadi', 'Kirat_Rai', 'Lao', 'Latin', 'Lepcha', 'Limbu', 'Linear_A',
+	'Linear_B', 'Lisu', 'Lycian', 'Lydian', 'Mahajani', 'Makasar', 'Malayalam',
+	'Mandaic', 'Manichaean', 'Marchen', 'Masaram_Gondi', 'Medefaidrin',
+	'Meetei_Mayek', 'Mende_Kikakui', 'Meroitic_Cursive', 'Meroitic_Hieroglyphs',
+	'Miao', 'Modi', 'Mongolian', 'Mro', 'Multani', 'Myanmar', 'Nabataean',
+	'Nag_Mundari', 'Nandinagari', 'New_Tai_Lue', 'Newa', 'Nko', 'Nushu',
+	'Nyiakeng_Puachue_Hmong', 'Ogham', 'Ol_Chiki', 'Ol_Onal', 'Old_Hungarian',
+	'Old_Italic', 'Old_North_Arabian', 'Old_Permic', 'Old_Persian', 'Old_Sogdian',
+	'Old_South_Arabian', 'Old_Turkic', 'Old_Uyghur', 'Oriya', 'Osage', 'Osmanya',
+	'Pahawh_Hmong', 'Palmyrene', 'Pau_Cin_Hau', 'Phags_Pa', 'Phoenician',
+	'Psalter_Pahlavi', 'Rejang', 'Runic', 'Samaritan', 'Saurashtra', 'Sharada',
+	'Shavian', 'Siddham', 'SignWriting', 'Sinhala', 'Sogdian', 'Sora_Sompeng',
+	'Soyombo', 'Sundanese', 'Sunuwar', 'Syloti_Nagri', 'Syriac', 'Tagalog',
+	'Tagbanwa', 'Tai_Le', 'Tai_Tham', 'Tai_Viet', 'Takri', 'Tamil', 'Tangsa',
+	'Tangut', 'Telugu', 'Thaana', 'Thai', 'Tibetan', 'Tifinagh', 'Tirhuta',
+	'Todhri', 'Toto', 'Tulu_Tigalari', 'Vai', 'Vithkuqi', 'Wancho', 'Warang_Citi',
+	'Yezidi', 'Yi', 'Zanabazar_Square'
+];
+
+let all = '';
+for ( let cp = 0; cp <= 0x10ffff; cp++ ) {
+	if ( cp < 0xd800 || cp > 0xdfff ) {
+		all += String.fromCodePoint( cp );
+	}
+}
+
+let lines = scripts.map( function ( script ) {
+	let re = new RegExp( '\\p{scx=' + script + '}+', 'gu' );
+	let ranges = [];
+	let m;
+	while ( ( m = re.exec( all ) ) ) {
+		let cps = Array.from( m[ 0 ] );
+		let first = cps[ 0 ].codePointAt( 0 ).toString( 16 );
+		let last = cps[ cps.length - 1 ].codePointAt( 0 ).toString( 16 );
+		ranges.push( first === last ? first : first + '-' + last );
+	}
+	return '\t' + script + ': \'' + ranges.join( ' ' ) + '\'';
+} );
+
+process.stdout.write( `/*
+ * The Script_Extensions property of Unicode ${ process.versions.unicode } (UAX #24), for the
+ * mixed-script checks of IdnPolicy: for each script, the code points (in
+ * hex, and hex ranges) whose Script_Extensions include it.
+ *
+ * Generated by bin/gen-unicode-scripts.js, since the Node versions we
+ * support can't match Unicode properties at runtime.
+ */
+
+'use strict';
+
+/* eslint-disable camelcase */
+module.exports = Object.freeze( {
+${ lines.join( ',\n' ) }
+} );
+` );
@@ -1,18 +1,61 @@
 #!/usr/bin/env node
 const fs = require( 'fs' ),
-	DOMSanitizer = require( __dirname + '/../lib/DOMSanitizer' );
+	DOMSanitizer = require( __dirname + '/../lib/DOMSanitizer' ),
+	PolicyPresets = require( __dirname + '/../lib/PolicyPresets' );
 
-const xhtml = fs.readFileSync( '/dev/stdin', 'utf8' );
-if ( xhtml.trim() === '' ) {
+function usage() {
 	const script = process.argv[ 1 ];
 	process.stderr.write(
-		'Usage: node ' + script + ' < file\n' +
-		'Input must be wrapped in a block element such as <p>...</p> or <div>..</div>.\n'
+		'Usage: node ' + script + ' [--preset <name>] [--check] < file\n' +
+		'Presets: ' + PolicyPresets.names().join( ', ' ) + ' (default: wikitext)\n' +
+		'With --check, lists what sanitizing would change instead of sanitizing,\n' +
+		'and exits with 0 if the input is safe, 1 if not, and 2 on usage errors\n' +
+		'or if the input could not be checked.\n'
 	);
-	process.exit( 1 );
+	process.exit( 2 );
+}
 
+const conf = {};
+const args = process.argv.slice( 2 );
+let check = false;
+for ( let i = 0; i < args.length; i++ ) {
+	let match = /^--preset(?:=(.*))?$/.exec( args[ i ] );
+	if ( match ) {
+		conf.preset = match[ 1 ] !== undefined ? match[ 1 ] : args[ ++i ];
+		if ( PolicyPresets.names().indexOf( conf.preset ) === -1 ) {
+			usage();
+		}
+	} else if ( args[ i ] === '--check' ) {
+		check = true;
+	} else {
+		usage();
+	}
 }
 
-const sanitizer = new DOMSanitizer();
+const xhtml = fs.readFileSync( '/dev/stdin', 'utf8' );
+if ( xhtml.trim() === '' ) {
+	usage();
+}
+
+const sanitizer = new DOMSanitizer( conf );
+
+if ( check ) {
+	let result;
+	try {
+		result = sanitizer.validate( xhtml );
+	} catch ( e ) {
+		// Not to be mistaken for unsafe input
+		process.stderr.write( e.stack + '\n' );
+		process.exit( 2 );
+	}
+	result.violations.forEach( function ( v ) {
+		process.stdout.write(
+			v.line + ':' + v.column + ' ' + v.rule + ': ' + v.action + ' ' +
+			v.element + ( v.attribute ? ' ' + v.attribute : '' ) + ' ' +
+			JSON.stringify( v.value ) + '\n'
+		);
+	} );
+	process.exit( result.safe ? 0 : 1 );
+}
 
 process.stdout.write( sanitizer.sanitizeHTML( xhtml ) );
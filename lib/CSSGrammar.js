@@ -0,0 +1,482 @@
+/*
+ * Value grammars for the CSS properties we allow in style attributes and
+ * stylesheets, and for the descriptors of @font-face rules.
+ *
+ * A grammar is a matcher: a function taking a list of component values
+ * (without whitespace) and a start index, which returns the index after
+ * what it matched, or -1. Matching is greedy and does not backtrack, so
+ * the alternatives of a grammar have to be told apart by their first
+ * value, which holds for everything below.
+ *
+ * The grammars are deliberately stricter than CSS: there is no calc(),
+ * there are no custom properties and no vendor-specific values, so there
+ * is nothing for old browsers to misinterpret as script. Images are
+ * allowed by the grammar, but CSSSanitizer checks their URLs
+ * separately, see CSSUrlPolicy.
+ */
+
+'use strict';
+
+const lengthUnits = new Set( [
+	'px', 'em', 'ex', 'rem', 'ch', 'vw', 'vh', 'vmin', 'vmax',
+	'cm', 'mm', 'q', 'in', 'pt', 'pc'
+] );
+const angleUnits = new Set( [ 'deg', 'grad', 'rad', 'turn' ] );
+
+const namedColors = new Set( [
+	'aliceblue', 'antiquewhite', 'aqua', 'aquamarine', 'azure', 'beige',
+	'bisque', 'black', 'blanchedalmond', 'blue', 'blueviolet', 'brown',
+	'burlywood', 'cadetblue', 'chartreuse', 'chocolate', 'coral',
+	'cornflowerblue', 'cornsilk', 'crimson', 'cyan', 'darkblue', 'darkcyan',
+	'darkgoldenrod', 'darkgray', 'darkgreen', 'darkgrey', 'darkkhaki',
+	'darkmagenta', 'darkolivegreen', 'darkorange', 'darkorchid', 'darkred',
+	'darksalmon', 'darkseagreen', 'darkslateblue', 'darkslategray',
+	'darkslategrey', 'darkturquoise', 'darkviolet', 'deeppink',
+	'deepskyblue', 'dimgray', 'dimgrey', 'dodgerblue', 'firebrick',
+	'floralwhite', 'forestgreen', 'fuchsia', 'gainsboro', 'ghostwhite',
+	'gold', 'goldenrod', 'gray', 'green', 'greenyellow', 'grey', 'honeydew',
+	'hotpink', 'indianred', 'indigo', 'ivory', 'khaki', 'lavender',
+	'lavenderblush', 'lawngreen', 'lemonchiffon', 'lightblue', 'lightcoral',
+	'lightcyan', 'lightgoldenrodyellow', 'lightgray', 'lightgreen',
+	'lightgrey', 'lightpink', 'lightsalmon', 'lightseagreen', 'lightskyblue',
+	'lightslategray', 'lightslategrey', 'lightsteelblue', 'lightyellow',
+	'lime', 'limegreen', 'linen', 'magenta', 'maroon', 'mediumaquamarine',
+	'mediumblue', 'mediumorchid', 'mediumpurple', 'mediumseagreen',
+	'mediumslateblue', 'mediumspringgreen', 'mediumturquoise',
+	'mediumvioletred', 'midnightblue', 'mintcream', 'mistyrose', 'moccasin',
+	'navajowhite', 'navy', 'oldlace', 'olive', 'olivedrab', 'orange',
+	'orangered', 'orchid', 'palegoldenrod', 'palegreen', 'paleturquoise',
+	'palevioletred', 'papayawhip', 'peachpuff', 'peru', 'pink', 'plum',
+	'powderblue', 'purple', 'rebeccapurple', 'red', 'rosybrown',
+	'royalblue', 'saddlebrown', 'salmon', 'sandybrown', 'seagreen',
+	'seashell', 'sienna', 'silver', 'skyblue', 'slateblue', 'slategray',
+	'slategrey', 'snow', 'springgreen', 'steelblue', 'tan', 'teal',
+	'thistle', 'tomato', 'turquoise', 'violet', 'wheat', 'white',
+	'whitesmoke', 'yellow', 'yellowgreen', 'transparent', 'currentcolor'
+] );
+
+const globalKeywords = new Set( [ 'inherit', 'initial', 'unset' ] );
+
+/* Primitives */
+
+function token( test ) {
+	return function ( values, i ) {
+		return i < values.length && test( values[ i ] ) ? i + 1 : -1;
+	};
+}
+
+function keyword() {
+	let words = new Set( arguments );
+	return token( function ( v ) {
+		return v.type === 'ident' && words.has( v.value.toLowerCase() );
+	} );
+}
+
+function inRange( v, options ) {
+	return !options || options.min === undefined || v.value >= options.min;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.min]
+ * @return {Function} matcher
+ */
+function length( options ) {
+	return token( function ( v ) {
+		return ( ( v.type === 'dimension' && lengthUnits.has( v.unit.toLowerCase() ) ) ||
+			( v.type === 'number' && v.value === 0 ) ) && inRange( v, options );
+	} );
+}
+
+function percentage( options ) {
+	return token( function ( v ) {
+		return v.type === 'percentage' && inRange( v, options );
+	} );
+}
+
+function number( options ) {
+	return token( function ( v ) {
+		return v.type === 'number' && inRange( v, options );
+	} );
+}
+
+function integer( options ) {
+	return token( function ( v ) {
+		return v.type === 'number' && v.integer && inRange( v, options );
+	} );
+}
+
+const angle = token( function ( v ) {
+	return ( v.type === 'dimension' && angleUnits.has( v.unit.toLowerCase() ) ) ||
+		( v.type === 'number' && v.value === 0 );
+} );
+
+const string = token( function ( v ) {
+	return v.type === 'string';
+} );
+
+const customIdent = token( function ( v ) {
+	return v.type === 'ident' && !globalKeywords.has( v.value.toLowerCase() );
+} );
+
+const comma = token( function ( v ) {
+	return v.type === ',';
+} );
+
+/* Combinators */
+
+/**
+ * @param {...Function} matchers
+ * @return {Function} Matcher for all of them, in order
+ */
+function seq() {
+	let matchers = Array.from( arguments );
+	return function ( values, i ) {
+		for ( let j = 0; j < matchers.length && i !== -1; j++ ) {
+			i = matchers[ j ]( values, i );
+		}
+		return i;
+	};
+}
+
+/**
+ * @param {...Function} matchers
+ * @return {Function} Matcher for the first of them that matches
+ */
+function oneOf() {
+	let matchers = Array.from( arguments );
+	return function ( values, i ) {
+		for ( let j = 0; j < matchers.length; j++ ) {
+			let next = matchers[ j ]( values, i );
+			if ( next !== -1 ) {
+				return next;
+			}
+		}
+		return -1;
+	};
+}
+
+/**
+ * CSS's `a || b || c`: one or more of them, in any order.
+ *
+ * @param {...Function} matchers
+ * @return {Function} matcher
+ */
+function anyOrder() {
+	let matchers = Array.from( arguments );
+	return function ( values, i ) {
+		let used = new Set();
+		let start = i;
+		for ( let j = 0; j < matchers.length; j++ ) {
+			if ( !used.has( j ) ) {
+				let next = matchers[ j ]( values, i );
+				if ( next !== -1 ) {
+					used.add( j );
+					i = next;
+					j = -1;
+				}
+			}
+		}
+		return i === start ? -1 : i;
+	};
+}
+
+/**
+ * @param {Function} matcher
+ * @param {number} min
+ * @param {number} max
+ * @param {Function} [separator]
+ * @return {Function} Matcher for min to max repetitions
+ */
+function repeat( matcher, min, max, separator ) {
+	return function ( values, i ) {
+		let count = 0;
+		let end = i;
+		while ( count < max ) {
+			let next = count && separator ? separator( values, end ) : end;
+			next = next === -1 ? -1 : matcher( values, next );
+			if ( next === -1 ) {
+				break;
+			}
+			end = next;
+			count++;
+		}
+		return count < min ? -1 : end;
+	};
+}
+
+function optional( matcher ) {
+	return repeat( matcher, 0, 1 );
+}
+
+function commaList( matcher ) {
+	return repeat( matcher, 1, Infinity, comma );
+}
+
+/**
+ * @param {string} name Lowercase function name
+ * @param {Function} args Matcher for all of the arguments
+ * @return {Function} matcher
+ */
+function func( name, args ) {
+	return function ( values, i ) {
+		let v = values[ i ];
+		if ( !v || v.type !== 'function' || v.name.toLowerCase() !== name ) {
+			return -1;
+		}
+		let inner = v.value.filter( function ( value ) {
+			return value.type !== 'whitespace';
+		} );
+		return args( inner, 0 ) === inner.length ? i + 1 : -1;
+	};
+}
+
+/* Value types */
+
+const lengthPercentage = oneOf( length(), percentage() );
+const nonNegativeLengthPercentage = oneOf( length( { min: 0 } ), percentage( { min: 0 } ) );
+const alphaValue = oneOf( number(), percentage() );
+
+const color = oneOf(
+	token( function ( v ) {
+		return ( v.type === 'ident' && namedColors.has( v.value.toLowerCase() ) ) ||
+			( v.type === 'hash' && /^(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test( v.value ) );
+	} ),
+	func( 'rgb', seq( repeat( oneOf( number(), percentage() ), 3, 3, comma ), optional( seq( comma, alphaValue ) ) ) ),
+	func( 'rgba', seq( repeat( oneOf( number(), percentage() ), 3, 3, comma ), optional( seq( comma, alphaValue ) ) ) ),
+	func( 'hsl', seq( oneOf( number(), angle ), comma, percentage(), comma, percentage(), optional( seq( comma, alphaValue ) ) ) ),
+	func( 'hsla', seq( oneOf( number(), angle ), comma, percentage(), comma, percentage(), optional( seq( comma, alphaValue ) ) ) )
+);
+
+const lineStyle = keyword(
+	'none', 'hidden', 'dotted', 'dashed', 'solid', 'double', 'groove',
+	'ridge', 'inset', 'outset'
+);
+const lineWidth = oneOf( length( { min: 0 } ), keyword( 'thin', 'medium', 'thick' ) );
+const border = anyOrder( lineWidth, lineStyle, color );
+const sizing = oneOf( nonNegativeLengthPercentage, keyword( 'auto' ) );
+const maxSizing = oneOf( nonNegativeLengthPercentage, keyword( 'none' ) );
+const margin = oneOf( lengthPercentage, keyword( 'auto' ) );
+const offset = oneOf( lengthPercentage, keyword( 'auto' ) );
+const overflow = keyword( 'visible', 'hidden', 'scroll', 'auto' );
+const counters = oneOf( keyword( 'none' ), repeat( seq( customIdent, optional( integer() ) ), 1, Infinity ) );
+const fontFamily = commaList( oneOf( string, repeat( customIdent, 1, Infinity ) ) );
+const fontSize = oneOf(
+	nonNegativeLengthPercentage,
+	keyword(
+		'xx-small', 'x-small', 'small', 'medium', 'large', 'x-large',
+		'xx-large', 'larger', 'smaller'
+	)
+);
+const fontStyle = keyword( 'normal', 'italic', 'oblique' );
+const fontWeight = oneOf(
+	keyword( 'normal', 'bold', 'bolder', 'lighter' ),
+	token( function ( v ) {
+		return v.type === 'number' && v.integer && v.value >= 1 && v.value <= 1000;
+	} )
+);
+const lineHeight = oneOf( keyword( 'normal' ), number( { min: 0 } ), nonNegativeLengthPercentage );
+const listStyleType = oneOf(
+	keyword(
+		'disc', 'circle', 'square', 'decimal', 'decimal-leading-zero',
+		'lower-roman', 'upper-roman', 'lower-greek', 'lower-latin',
+		'upper-latin', 'lower-alpha', 'upper-alpha', 'armenian', 'georgian',
+		'hebrew', 'cjk-ideographic', 'hiragana', 'katakana', 'none'
+	),
+	string
+);
+const textDecorationLine = oneOf(
+	keyword( 'none' ),
+	repeat( keyword( 'underline', 'overline', 'line-through', 'blink' ), 1, 4 )
+);
+const textDecorationStyle = keyword( 'solid', 'double', 'dotted', 'dashed', 'wavy' );
+
+const url = oneOf(
+	token( function ( v ) {
+		return v.type === 'url';
+	} ),
+	func( 'url', string )
+);
+const resolution = token( function ( v ) {
+	return v.type === 'dimension' && /^(?:x|dppx|dpi|dpcm)$/i.test( v.unit );
+} );
+const image = oneOf(
+	url,
+	func( 'image-set', commaList( seq( oneOf( url, string ), resolution ) ) )
+);
+const bgImage = oneOf( keyword( 'none' ), image );
+const bgRepeat = oneOf(
+	keyword( 'repeat-x', 'repeat-y' ),
+	repeat( keyword( 'repeat', 'space', 'round', 'no-repeat' ), 1, 2 )
+);
+const bgPosition = repeat( oneOf( keyword( 'left', 'center', 'right', 'top', 'bottom' ), lengthPercentage ), 1, 4 );
+const bgSize = oneOf( keyword( 'cover', 'contain' ), repeat( sizing, 1, 2 ) );
+
+/**
+ * @param {Function} matcher
+ * @return {Function} The same matcher for one to four sides of a box
+ */
+function sides( matcher ) {
+	return repeat( matcher, 1, 4 );
+}
+
+const properties = {
+	'background-color': color,
+	'background-image': bgImage,
+	'background-position': bgPosition,
+	'background-repeat': bgRepeat,
+	'background-size': bgSize,
+	background: anyOrder( color, bgImage, bgRepeat ),
+	border: border,
+	'border-top': border,
+	'border-right': border,
+	'border-bottom': border,
+	'border-left': border,
+	'border-color': sides( color ),
+	'border-top-color': color,
+	'border-right-color': color,
+	'border-bottom-color': color,
+	'border-left-color': color,
+	'border-style': sides( lineStyle ),
+	'border-top-style': lineStyle,
+	'border-right-style': lineStyle,
+	'border-bottom-style': lineStyle,
+	'border-left-style': lineStyle,
+	'border-width': sides( lineWidth ),
+	'border-top-width': lineWidth,
+	'border-right-width': lineWidth,
+	'border-bottom-width': lineWidth,
+	'border-left-width': lineWidth,
+	'border-radius': sides( nonNegativeLengthPercentage ),
+	'border-collapse': keyword( 'collapse', 'separate' ),
+	'border-spacing': repeat( length( { min: 0 } ), 1, 2 ),
+	bottom: offset,
+	'box-sizing': keyword( 'content-box', 'border-box' ),
+	'caption-side': keyword( 'top', 'bottom' ),
+	clear: keyword( 'none', 'left', 'right', 'both' ),
+	color: color,
+	'counter-increment': counters,
+	'counter-reset': counters,
+	direction: keyword( 'ltr', 'rtl' ),
+	display: keyword(
+		'none', 'inline', 'block', 'inline-block', 'list-item', 'flex',
+		'inline-flex', 'grid', 'inline-grid', 'table', 'inline-table',
+		'table-row', 'table-cell', 'table-caption', 'table-column',
+		'table-column-group', 'table-header-group', 'table-footer-group',
+		'table-row-group', 'flow-root'
+	),
+	'empty-cells': keyword( 'show', 'hide' ),
+	'float': keyword( 'none', 'left', 'right' ),
+	'font-family': fontFamily,
+	'font-size': fontSize,
+	'font-style': fontStyle,
+	'font-variant': keyword( 'normal', 'small-caps' ),
+	'font-weight': fontWeight,
+	height: sizing,
+	left: offset,
+	'letter-spacing': oneOf( keyword( 'normal' ), length() ),
+	'line-height': lineHeight,
+	'list-style-position': keyword( 'inside', 'outside' ),
+	'list-style-image': bgImage,
+	'list-style-type': listStyleType,
+	margin: sides( margin ),
+	'margin-top': margin,
+	'margin-right': margin,
+	'margin-bottom': margin,
+	'margin-left': margin,
+	'max-height': maxSizing,
+	'max-width': maxSizing,
+	'min-height': sizing,
+	'min-width': sizing,
+	opacity: alphaValue,
+	overflow: repeat( overflow, 1, 2 ),
+	'overflow-x': overflow,
+	'overflow-y': overflow,
+	'overflow-wrap': keyword( 'normal', 'break-word', 'anywhere' ),
+	padding: sides( nonNegativeLengthPercentage ),
+	'padding-top': nonNegativeLengthPercentage,
+	'padding-right': nonNegativeLengthPercentage,
+	'padding-bottom': nonNegativeLengthPercentage,
+	'padding-left': nonNegativeLengthPercentage,
+	position: keyword( 'static', 'relative', 'absolute', 'fixed', 'sticky' ),
+	right: offset,
+	'table-layout': keyword( 'auto', 'fixed' ),
+	'text-align': keyword( 'left', 'right', 'center', 'justify', 'start', 'end' ),
+	'text-decoration': anyOrder( textDecorationLine, textDecorationStyle, color ),
+	'text-decoration-color': color,
+	'text-decoration-line': textDecorationLine,
+	'text-decoration-style': textDecorationStyle,
+	'text-indent': lengthPercentage,
+	'text-transform': keyword( 'none', 'capitalize', 'uppercase', 'lowercase' ),
+	top: offset,
+	transform: oneOf( keyword( 'none' ), repeat( oneOf(
+		func( 'translate', repeat( lengthPercentage, 1, 2, comma ) ),
+		func( 'translatex', lengthPercentage ),
+		func( 'translatey', lengthPercentage ),
+		func( 'scale', repeat( number(), 1, 2, comma ) ),
+		func( 'scalex', number() ),
+		func( 'scaley', number() ),
+		func( 'rotate', angle ),
+		func( 'skew', repeat( angle, 1, 2, comma ) ),
+		func( 'skewx', angle ),
+		func( 'skewy', angle )
+	), 1, Infinity ) ),
+	'unicode-bidi': keyword( 'normal', 'embed', 'isolate', 'bidi-override', 'isolate-override', 'plaintext' ),
+	'vertical-align': oneOf(
+		keyword( 'baseline', 'sub', 'super', 'text-top', 'text-bottom', 'middle', 'top', 'bottom' ),
+		lengthPercentage
+	),
+	visibility: keyword( 'visible', 'hidden', 'collapse' ),
+	'white-space': keyword( 'normal', 'pre', 'nowrap', 'pre-wrap', 'pre-line', 'break-spaces' ),
+	width: sizing,
+	'word-break': keyword( 'normal', 'break-all', 'keep-all', 'break-word' ),
+	'word-spacing': oneOf( keyword( 'normal' ), length() ),
+	'word-wrap': keyword( 'normal', 'break-word', 'anywhere' ),
+	'z-index': oneOf( keyword( 'auto' ), integer() )
+};
+
+// The descriptors of @font-face rules
+const fontFaceDescriptors = {
+	'font-display': keyword( 'auto', 'block', 'swap', 'fallback', 'optional' ),
+	'font-family': oneOf( string, repeat( customIdent, 1, Infinity ) ),
+	'font-style': fontStyle,
+	'font-weight': fontWeight,
+	src: commaList( seq( url, optional( func( 'format', commaList( string ) ) ) ) )
+};
+
+class CSSGrammar {
+	/**
+	 * @param {string} [atRule] 'font-face' for the descriptors of
+	 *  @font-face rules
+	 * @return {string[]} The properties that have a grammar
+	 */
+	static properties( atRule ) {
+		return Object.keys( atRule === 'font-face' ? fontFaceDescriptors : properties );
+	}
+
+	/**
+	 * @param {string} property Lowercase property name
+	 * @param {Object[]} value Component values
+	 * @param {string} [atRule] 'font-face' to check a descriptor of a
+	 *  @font-face rule instead of a property
+	 * @return {boolean} Whether the value is valid for the property
+	 */
+	static matches( property, value, atRule ) {
+		let table = atRule === 'font-face' ? fontFaceDescriptors : properties;
+		let grammar = table.hasOwnProperty( property ) && table[ property ];
+		if ( !grammar ) {
+			return false;
+		}
+		let values = value.filter( function ( v ) {
+			return v.type !== 'whitespace';
+		} );
+		if ( !atRule && values.length === 1 && values[ 0 ].type === 'ident' &&
+			globalKeywords.has( values[ 0 ].value.toLowerCase() )
+		) {
+			return true;
+		}
+		return values.length > 0 && grammar( values, 0 ) === values.length;
+	}
+}
+
+module.exports = CSSGrammar;
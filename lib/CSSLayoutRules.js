@@ -0,0 +1,180 @@
+/*
+ * Rules against CSS that lets content escape its box and lay itself over
+ * the rest of the page, eg. to show a fake login form: fixed and absolute
+ * positioning, huge z-indexes, large negative margins and transforms
+ * that move or blow up an element.
+ *
+ * These apply to declarations that already passed CSSGrammar, so values
+ * are known to be well-formed. Positions that are not allowed drop the
+ * declaration; everything else is clamped.
+ */
+
+'use strict';
+
+// Pixels per unit. Units relative to the viewport or the containing
+// block have no bound we could check, so any amount of them is too much.
+const pxPerUnit = {
+	px: 1,
+	'in': 96,
+	cm: 96 / 2.54,
+	mm: 96 / 25.4,
+	q: 96 / 101.6,
+	pt: 4 / 3,
+	pc: 16,
+	em: 16,
+	rem: 16,
+	ex: 8,
+	ch: 8
+};
+
+const margins = new Set( [ 'margin', 'margin-top', 'margin-right', 'margin-bottom', 'margin-left' ] );
+
+function toPx( value ) {
+	if ( value.type === 'number' ) {
+		return value.value;
+	}
+	let scale = value.type === 'dimension' && pxPerUnit[ value.unit.toLowerCase() ];
+	if ( !scale ) {
+		return value.value === 0 ? 0 : value.value * Infinity;
+	}
+	return value.value * scale;
+}
+
+function numberToken( value ) {
+	return { type: 'number', value: value, repr: String( value ), integer: Number.isInteger( value ) };
+}
+
+function pxToken( value ) {
+	return value === 0 ? numberToken( 0 ) :
+		{ type: 'dimension', value: value, repr: String( value ), integer: Number.isInteger( value ), unit: 'px' };
+}
+
+function isLength( value ) {
+	return value.type === 'dimension' || value.type === 'percentage' || value.type === 'number';
+}
+
+function checkLimit( options, name ) {
+	let limit = options[ name ];
+	if ( limit !== null && ( typeof limit !== 'number' || !( limit >= 0 ) ) ) {
+		throw new Error( 'Invalid CSS layout limit: ' + name );
+	}
+	return limit;
+}
+
+class CSSLayoutRules {
+	/**
+	 * Every option can be null to turn that rule off.
+	 *
+	 * @param {Object} [options]
+	 * @param {string[]|null} [options.positions] Allowed values of the
+	 *  position property
+	 * @param {number|null} [options.maxZIndex] Largest absolute z-index
+	 * @param {number|null} [options.maxOffset] Largest negative margin,
+	 *  and largest translation, in pixels
+	 * @param {number|null} [options.maxScale] Largest scale() factor
+	 */
+	constructor( options ) {
+		options = Object.assign( {}, CSSLayoutRules.defaults, options );
+		if ( options.positions !== null && !Array.isArray( options.positions ) ) {
+			throw new Error( 'Invalid CSS position list: ' + options.positions );
+		}
+		this.positions = options.positions && Object.freeze( options.positions.map( function ( name ) {
+			return String( name ).toLowerCase();
+		} ) );
+		this.maxZIndex = checkLimit( options, 'maxZIndex' );
+		this.maxOffset = checkLimit( options, 'maxOffset' );
+		this.maxScale = checkLimit( options, 'maxScale' );
+		Object.freeze( this );
+	}
+
+	/**
+	 * @return {Object} The positions left in and the z-index, offset and
+	 *  scale limits, null where a rule is off, as CSSLayoutRules options
+	 */
+	toOptions() {
+		return {
+			positions: this.positions && this.positions.slice(),
+			maxZIndex: this.maxZIndex,
+			maxOffset: this.maxOffset,
+			maxScale: this.maxScale
+		};
+	}
+
+	/**
+	 * @param {Object} declaration A declaration with a valid value
+	 * @return {Object[]|boolean} true to keep the declaration, false to
+	 *  drop it, or the clamped value
+	 */
+	apply( declaration ) {
+		let value = declaration.value;
+		let clamped;
+		if ( declaration.name === 'position' ) {
+			return !this.positions || value[ 0 ].type !== 'ident' ||
+				this.positions.indexOf( value[ 0 ].value.toLowerCase() ) !== -1;
+		} else if ( declaration.name === 'z-index' ) {
+			clamped = this.clampZIndex( value );
+		} else if ( margins.has( declaration.name ) ) {
+			clamped = this.clampMargins( value );
+		} else if ( declaration.name === 'transform' ) {
+			clamped = this.clampTransforms( value );
+		}
+		return clamped && clamped.some( function ( v, i ) {
+			return v !== value[ i ];
+		} ) ? clamped : true;
+	}
+
+	clampZIndex( value ) {
+		let max = this.maxZIndex;
+		return max === null ? null : value.map( function ( v ) {
+			return v.type === 'number' && Math.abs( v.value ) > max ? numberToken( Math.sign( v.value ) * max ) : v;
+		} );
+	}
+
+	clampMargins( value ) {
+		let max = this.maxOffset;
+		return max === null ? null : value.map( function ( v ) {
+			return isLength( v ) && toPx( v ) < -max ? pxToken( -max ) : v;
+		} );
+	}
+
+	clampTransforms( value ) {
+		let maxOffset = this.maxOffset;
+		let maxScale = this.maxScale;
+		return value.map( function ( v ) {
+			let name = v.type === 'function' && v.name.toLowerCase();
+			let clamp;
+			if ( /^translate[xy]?$/.test( name ) && maxOffset !== null ) {
+				clamp = function ( arg ) {
+					return isLength( arg ) && Math.abs( toPx( arg ) ) > maxOffset ?
+						pxToken( Math.sign( arg.value ) * maxOffset ) : arg;
+				};
+			} else if ( /^scale[xy]?$/.test( name ) && maxScale !== null ) {
+				clamp = function ( arg ) {
+					return arg.type === 'number' && Math.abs( arg.value ) > maxScale ?
+						numberToken( Math.sign( arg.value ) * maxScale ) : arg;
+				};
+			}
+			if ( !clamp ) {
+				return v;
+			}
+			let args = v.value.map( clamp );
+			return args.some( function ( arg, i ) {
+				return arg !== v.value[ i ];
+			} ) ? { type: 'function', name: v.name, value: args } : v;
+		} );
+	}
+}
+
+/**
+ * The defaults leave room for the small negative margins and the
+ * rotations that templates use. Absolute positioning is left out, since
+ * with offsets and sizes in viewport units it covers the whole page.
+ */
+CSSLayoutRules.defaults = Object.freeze( {
+	positions: Object.freeze( [ 'static', 'relative', 'sticky' ] ),
+	maxZIndex: 100,
+	maxOffset: 100,
+	maxScale: 2
+} );
+
+module.exports = CSSLayoutRules;
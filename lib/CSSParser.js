@@ -0,0 +1,382 @@
+/*
+ * Parses CSS following CSS Syntax Level 3,
+ * https://www.w3.org/TR/css-syntax-3/#parsing, and serializes what it
+ * parsed back to CSS.
+ *
+ * Component values are CSSTokenizer tokens, plus functions
+ * (`{ type: 'function', name, value }`) and simple blocks
+ * (`{ type: 'block', token: '(' | '[' | '{', value }`), where `value`
+ * holds the component values inside.
+ */
+
+'use strict';
+
+const CSSTokenizer = require( './CSSTokenizer' );
+
+const closing = { '(': ')', '[': ']', '{': '}' };
+
+/**
+ * Serialize an identifier, per CSSOM's "serialize an identifier".
+ *
+ * @param {string} name
+ * @return {string}
+ */
+function escapeIdent( name ) {
+	let out = '';
+	for ( let i = 0; i < name.length; i++ ) {
+		let c = name[ i ];
+		let code = name.charCodeAt( i );
+		if ( code === 0 ) {
+			out += '\uFFFD';
+		} else if ( ( code >= 0x1 && code <= 0x1F ) || code === 0x7F ||
+			( /[0-9]/.test( c ) && ( i === 0 || ( i === 1 && name[ 0 ] === '-' ) ) )
+		) {
+			out += '\\' + code.toString( 16 ) + ' ';
+		} else if ( i === 0 && c === '-' && name.length === 1 ) {
+			out += '\\-';
+		} else if ( code >= 0x80 || /[a-zA-Z0-9_-]/.test( c ) ) {
+			out += c;
+		} else {
+			out += '\\' + c;
+		}
+	}
+	return out;
+}
+
+/**
+ * Serialize a string as a double-quoted CSS string. Angle brackets are
+ * escaped as well, so the result is safe inside a <style> element.
+ *
+ * @param {string} value
+ * @return {string}
+ */
+function escapeString( value ) {
+	// eslint-disable-next-line no-control-regex
+	return '"' + value.replace( /[\x00-\x1F\x7F"\\<>]/g, function ( c ) {
+		if ( c === '"' || c === '\\' ) {
+			return '\\' + c;
+		}
+		return c === '\0' ? '\uFFFD' : '\\' + c.charCodeAt( 0 ).toString( 16 ) + ' ';
+	} ) + '"';
+}
+
+/**
+ * @param {Object} token A token, or a component value when parsing the
+ *  contents of a block
+ * @return {boolean} Whether it starts a `{}` block
+ */
+function isBlockStart( token ) {
+	return token.type === '{' || ( token.type === 'block' && token.token === '{' );
+}
+
+function formatNumber( value ) {
+	return String( value );
+}
+
+class CSSParser {
+	/**
+	 * @param {string|Object[]} input CSS text, or tokens
+	 */
+	constructor( input ) {
+		this.tokens = typeof input === 'string' ? CSSTokenizer.tokenize( input ) : input;
+		this.pos = 0;
+	}
+
+	/**
+	 * @param {string|Object[]} input
+	 * @return {Object[]} Component values
+	 */
+	static parseComponentValues( input ) {
+		let parser = new CSSParser( input );
+		let values = [];
+		while ( parser.pos < parser.tokens.length ) {
+			values.push( parser.consumeComponentValue() );
+		}
+		return values;
+	}
+
+	/**
+	 * Parse the contents of a style attribute or of a declaration block.
+	 *
+	 * Declarations are `{ name, value, important }`, with the name
+	 * lowercased and whitespace trimmed off the value. Whatever could not
+	 * be parsed as a declaration ends up in `invalid`, as component value
+	 * lists; at-rules are returned as `{ type: 'at-rule', name, prelude,
+	 * block }`.
+	 *
+	 * @param {string|Object[]} input
+	 * @return {Object} `{ declarations, invalid, atRules }`
+	 */
+	static parseDeclarationList( input ) {
+		let parser = new CSSParser( input );
+		let result = { declarations: [], invalid: [], atRules: [] };
+		while ( parser.pos < parser.tokens.length ) {
+			let token = parser.tokens[ parser.pos ];
+			if ( token.type === 'whitespace' || token.type === ';' ) {
+				parser.pos++;
+			} else if ( token.type === 'at-keyword' ) {
+				result.atRules.push( parser.consumeAtRule() );
+			} else {
+				let values = parser.consumeUntilSemicolon();
+				let declaration = token.type === 'ident' && CSSParser.toDeclaration( values );
+				if ( declaration ) {
+					result.declarations.push( declaration );
+				} else {
+					result.invalid.push( values );
+				}
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * Parse a stylesheet, or the contents of an at-rule block holding
+	 * rules (like @media).
+	 *
+	 * Rules are at-rules, or `{ type: 'qualified-rule', prelude, block }`.
+	 * A qualified rule without a block is invalid and is returned with a
+	 * null block.
+	 *
+	 * @param {string|Object[]} input
+	 * @return {Object[]} rules
+	 */
+	static parseRuleList( input ) {
+		let parser = new CSSParser( input );
+		let rules = [];
+		while ( parser.pos < parser.tokens.length ) {
+			let token = parser.tokens[ parser.pos ];
+			if ( token.type === 'whitespace' || token.type === 'CDO' || token.type === 'CDC' ) {
+				parser.pos++;
+			} else if ( token.type === 'at-keyword' ) {
+				rules.push( parser.consumeAtRule() );
+			} else {
+				rules.push( parser.consumeQualifiedRule() );
+			}
+		}
+		return rules;
+	}
+
+	/**
+	 * @param {Object[]} values Component values, starting with an ident
+	 * @return {Object|null} Declaration
+	 */
+	static toDeclaration( values ) {
+		let i = 1;
+		while ( i < values.length && values[ i ].type === 'whitespace' ) {
+			i++;
+		}
+		if ( i >= values.length || values[ i ].type !== ':' ) {
+			return null;
+		}
+		let value = CSSParser.trim( values.slice( i + 1 ) );
+		let important = false;
+		let n = value.length;
+		let last = n > 0 && value[ n - 1 ];
+		if ( last && last.type === 'ident' && last.value.toLowerCase() === 'important' ) {
+			let j = n - 2;
+			while ( j >= 0 && value[ j ].type === 'whitespace' ) {
+				j--;
+			}
+			if ( j >= 0 && value[ j ].type === 'delim' && value[ j ].value === '!' ) {
+				important = true;
+				value = CSSParser.trim( value.slice( 0, j ) );
+			}
+		}
+		return {
+			name: values[ 0 ].value.toLowerCase(),
+			value: value,
+			important: important
+		};
+	}
+
+	/**
+	 * @param {Object[]} values
+	 * @return {Object[]} values without leading and trailing whitespace
+	 */
+	static trim( values ) {
+		let start = 0;
+		let end = values.length;
+		while ( start < end && values[ start ].type === 'whitespace' ) {
+			start++;
+		}
+		while ( end > start && values[ end - 1 ].type === 'whitespace' ) {
+			end--;
+		}
+		return values.slice( start, end );
+	}
+
+	/**
+	 * @return {Object} Component value
+	 */
+	consumeComponentValue() {
+		let token = this.tokens[ this.pos++ ];
+		if ( closing[ token.type ] ) {
+			return { type: 'block', token: token.type, value: this.consumeUntil( closing[ token.type ] ) };
+		} else if ( token.type === 'function' && token.name === undefined ) {
+			// Not a function that was parsed already, as in the contents
+			// of a block
+			return { type: 'function', name: token.value, value: this.consumeUntil( ')' ) };
+		}
+		return token;
+	}
+
+	/**
+	 * Consume component values up to and including a closing token.
+	 *
+	 * @param {string} end Token type
+	 * @return {Object[]} Component values
+	 */
+	consumeUntil( end ) {
+		let values = [];
+		while ( this.pos < this.tokens.length ) {
+			if ( this.tokens[ this.pos ].type === end ) {
+				this.pos++;
+				break;
+			}
+			values.push( this.consumeComponentValue() );
+		}
+		return values;
+	}
+
+	/**
+	 * @return {Object[]} Component values up to the next top-level `;`
+	 */
+	consumeUntilSemicolon() {
+		let values = [];
+		while ( this.pos < this.tokens.length && this.tokens[ this.pos ].type !== ';' ) {
+			values.push( this.consumeComponentValue() );
+		}
+		return values;
+	}
+
+	/**
+	 * @return {Object} At-rule
+	 */
+	consumeAtRule() {
+		let rule = {
+			type: 'at-rule',
+			name: this.tokens[ this.pos++ ].value.toLowerCase(),
+			prelude: [],
+			block: null
+		};
+		while ( this.pos < this.tokens.length ) {
+			let token = this.tokens[ this.pos ];
+			if ( token.type === ';' ) {
+				this.pos++;
+				break;
+			} else if ( isBlockStart( token ) ) {
+				rule.block = this.consumeComponentValue();
+				break;
+			}
+			rule.prelude.push( this.consumeComponentValue() );
+		}
+		return rule;
+	}
+
+	/**
+	 * @return {Object} Qualified rule
+	 */
+	consumeQualifiedRule() {
+		let rule = { type: 'qualified-rule', prelude: [], block: null };
+		while ( this.pos < this.tokens.length ) {
+			if ( isBlockStart( this.tokens[ this.pos ] ) ) {
+				rule.block = this.consumeComponentValue();
+				break;
+			}
+			rule.prelude.push( this.consumeComponentValue() );
+		}
+		return rule;
+	}
+
+	/**
+	 * Serialize component values. Whitespace is collapsed to single
+	 * spaces, strings are double-quoted and url() tokens are written as
+	 * url() functions taking a string.
+	 *
+	 * In canonical mode, the whitespace of the input is dropped and values
+	 * are separated by single spaces instead, except before commas. This
+	 * is only right for property values, where whitespace is never
+	 * significant beyond separating tokens.
+	 *
+	 * @param {Object[]} values
+	 * @param {boolean} [canonical]
+	 * @return {string}
+	 */
+	static serialize( values, canonical ) {
+		if ( !canonical ) {
+			return values.map( function ( value ) {
+				return CSSParser.serializeValue( value, false );
+			} ).join( '' );
+		}
+		let out = '';
+		values.forEach( function ( value ) {
+			if ( value.type !== 'whitespace' ) {
+				out += ( out && value.type !== ',' ? ' ' : '' ) + CSSParser.serializeValue( value, true );
+			}
+		} );
+		return out;
+	}
+
+	/**
+	 * @param {Object} value Component value
+	 * @param {boolean} [canonical]
+	 * @return {string}
+	 */
+	static serializeValue( value, canonical ) {
+		switch ( value.type ) {
+			case 'ident':
+				return escapeIdent( value.value );
+			case 'function':
+				return escapeIdent( value.name ) + '(' + CSSParser.serialize( value.value, canonical ) + ')';
+			case 'block':
+				return value.token + CSSParser.serialize( value.value, canonical ) + closing[ value.token ];
+			case 'at-keyword':
+				return '@' + escapeIdent( value.value );
+			case 'hash':
+				// A name rather than an identifier; it can start with a digit
+				return '#' + escapeIdent( '_' + value.value ).slice( 1 );
+			case 'string':
+				return escapeString( value.value );
+			case 'url':
+				return 'url(' + escapeString( value.value ) + ')';
+			case 'delim':
+				return value.value === '\\' ? '\\\n' : value.value;
+			case 'number':
+				// Keep the sign of `2n+1` in selectors
+				return ( /^\+/.test( value.repr ) ? '+' : '' ) + formatNumber( value.value );
+			case 'percentage':
+				return formatNumber( value.value ) + '%';
+			case 'dimension':
+				// Don't let a unit like `e3` be read back as an exponent
+				return formatNumber( value.value ) +
+					( /^e[+-]?\d/i.test( value.unit ) ? '\\65 ' + escapeIdent( '_' + value.unit.slice( 1 ) ).slice( 1 ) : escapeIdent( value.unit ) );
+			case 'whitespace':
+				return ' ';
+			case 'CDO':
+				return '<!--';
+			case 'CDC':
+				return '-->';
+			case 'bad-string':
+			case 'bad-url':
+				return '';
+			default:
+				return value.type;
+		}
+	}
+
+	/**
+	 * @param {Object[]} declarations
+	 * @return {string} Eg. `color: red; margin: 0 1em !important;`
+	 */
+	static serializeDeclarations( declarations ) {
+		return declarations.map( function ( declaration ) {
+			return escapeIdent( declaration.name ) + ': ' + CSSParser.serialize( declaration.value, true ) +
+				( declaration.important ? ' !important' : '' ) + ';';
+		} ).join( ' ' );
+	}
+}
+
+CSSParser.escapeIdent = escapeIdent;
+CSSParser.escapeString = escapeString;
+
+module.exports = CSSParser;
@@ -0,0 +1,392 @@
+/*
+ * Sanitizes the contents of style attributes and <style> elements
+ * declaration by declaration.
+ *
+ * The style is parsed like a browser would parse it, declarations whose
+ * property is not allowed or whose value does not match the grammar of
+ * the property (see CSSGrammar) or which load images from anywhere but
+ * the places CSSUrlPolicy allows are dropped, CSSLayoutRules are applied
+ * to the rest, and what is left is serialized again in a canonical form.
+ * Since only values we understand survive, this does not depend on
+ * spotting dangerous patterns like `expression(`, however they are
+ * escaped.
+ *
+ * Stylesheets get the same treatment for the declarations of each rule.
+ * Their selectors are moved under a wrapper class, so that they only
+ * apply to the fragment they came with, and only the at-rules that are
+ * asked for are kept.
+ */
+
+'use strict';
+
+const CSSGrammar = require( './CSSGrammar' );
+const CSSLayoutRules = require( './CSSLayoutRules' );
+const CSSParser = require( './CSSParser' );
+const CSSUrlPolicy = require( './CSSUrlPolicy' );
+const JSUtils = require( './utils/jsutils' );
+
+// At-rules that stylesheets can be allowed to use
+const atRules = [ 'media', 'supports', 'font-face', 'import' ];
+
+// What selectors can be made of, besides identifiers, hashes and
+// whitespace
+const selectorDelims = new Set( [ '.', '*', '>', '+', '~' ] );
+const selectorFunctions = new Set( [
+	'not', 'is', 'where', 'has', 'nth-child', 'nth-last-child',
+	'nth-of-type', 'nth-last-of-type', 'lang', 'dir'
+] );
+const combinators = new Set( [ '>', '+', '~' ] );
+const attrSelectorDelims = new Set( [ '=', '~', '|', '^', '$', '*' ] );
+
+function change( changes, property, values, action, rule ) {
+	changes.push( {
+		property: property,
+		value: CSSParser.serialize( values ).trim(),
+		action: action,
+		rule: rule
+	} );
+}
+
+function atRuleValues( rule ) {
+	let values = [ { type: 'at-keyword', value: rule.name } ].concat( rule.prelude );
+	if ( rule.block ) {
+		values.push( rule.block );
+	}
+	return values;
+}
+
+/**
+ * @param {Object[]} values Component values of one complex selector
+ * @return {boolean} Whether it only uses selector syntax we allow, which
+ *  never loads anything
+ */
+function isSafeSelector( values ) {
+	return values.length > 0 && values.every( function ( v ) {
+		switch ( v.type ) {
+			case 'ident':
+			case 'hash':
+			case 'whitespace':
+			case ':':
+			case ',':
+			case 'number':
+			case 'dimension':
+				return true;
+			case 'delim':
+				return selectorDelims.has( v.value );
+			case 'function':
+				return selectorFunctions.has( v.name.toLowerCase() ) && isSafeSelector( v.value );
+			case 'block':
+				return v.token === '[' && v.value.every( function ( a ) {
+					return a.type === 'ident' || a.type === 'string' || a.type === 'whitespace' ||
+						( a.type === 'delim' && attrSelectorDelims.has( a.value ) );
+				} );
+			default:
+				return false;
+		}
+	} );
+}
+
+/**
+ * @param {Object[]} values Component values of one complex selector
+ * @return {boolean} Whether it starts with a combinator, like `~ p`. Put
+ *  under the wrapper class, it would match siblings of the wrapper.
+ */
+function isRelativeSelector( values ) {
+	return values.length > 0 && values[ 0 ].type === 'delim' && combinators.has( values[ 0 ].value );
+}
+
+/**
+ * @param {Object[]} values The prelude of @media or @supports
+ * @return {boolean} Whether it is a condition without functions, strings
+ *  or URLs
+ */
+function isSafeCondition( values ) {
+	return values.every( function ( v ) {
+		switch ( v.type ) {
+			case 'ident':
+			case 'whitespace':
+			case ':':
+			case ',':
+			case 'number':
+			case 'dimension':
+			case 'percentage':
+				return true;
+			case 'delim':
+				return /^[/<>=]$/.test( v.value );
+			case 'block':
+				return v.token === '(' && isSafeCondition( v.value );
+			default:
+				return false;
+		}
+	} );
+}
+
+/**
+ * @param {Object[]} prelude
+ * @return {Array[]} The selectors in a selector list
+ */
+function splitSelectors( prelude ) {
+	let selectors = [ [] ];
+	prelude.forEach( function ( v ) {
+		if ( v.type === ',' ) {
+			selectors.push( [] );
+		} else {
+			selectors[ selectors.length - 1 ].push( v );
+		}
+	} );
+	return selectors.map( CSSParser.trim );
+}
+
+class CSSSanitizer {
+	/**
+	 * @param {Object} [options]
+	 * @param {string[]} [options.properties] Allowed properties. Defaults
+	 *  to all properties CSSGrammar knows about; unknown ones are ignored.
+	 * @param {Object} [options.layout] CSSLayoutRules options
+	 * @param {Object} [options.urls] CSSUrlPolicy options
+	 */
+	constructor( options ) {
+		options = options || {};
+		let known = CSSGrammar.properties();
+		let properties = options.properties || known;
+		if ( !Array.isArray( properties ) ) {
+			throw new Error( 'Invalid CSS property list: ' + properties );
+		}
+		this.properties = JSUtils.freezeSet( properties.map( function ( name ) {
+			return String( name ).toLowerCase();
+		} ).filter( function ( name ) {
+			return known.indexOf( name ) !== -1;
+		} ) );
+		this.layout = new CSSLayoutRules( options.layout );
+		this.urls = new CSSUrlPolicy( options.urls );
+		Object.freeze( this );
+	}
+
+	/**
+	 * Sanitize a style attribute.
+	 *
+	 * `changes` lists what was dropped or rewritten, as `{ property,
+	 * value, action, rule }`, with the original value, `action` either
+	 * 'dropped' or 'rewritten', and `rule` one of:
+	 * - css-syntax: not a declaration (at-rules, stray tokens)
+	 * - css-property: the property is not allowed
+	 * - css-value: the value does not match the grammar of the property
+	 * - css-url: the value loads an image from a URL that is not allowed
+	 * - css-layout: a CSSLayoutRules rule
+	 *
+	 * @param {string} text
+	 * @return {Object} `{ css, changes }`
+	 */
+	sanitizeStyle( text ) {
+		let changes = [];
+		let declarations = this.sanitizeDeclarations( CSSParser.parseDeclarationList( text ), changes );
+		return { css: CSSParser.serializeDeclarations( declarations ), changes: changes };
+	}
+
+	/**
+	 * Sanitize the contents of a <style> element.
+	 *
+	 * Besides the rules of sanitizeStyle, `changes` can have these, with
+	 * a null property:
+	 * - css-selector: a selector that uses more than plain selector syntax
+	 * - css-at-rule: an at-rule that is not allowed, or not well-formed
+	 *
+	 * @param {string} text
+	 * @param {Object} options
+	 * @param {string} options.wrapperClass Class every selector is put
+	 *  under
+	 * @param {string[]} options.atRules Allowed at-rules, out of
+	 *  CSSSanitizer.atRules
+	 * @return {Object} `{ css, changes }`
+	 */
+	sanitizeStylesheet( text, options ) {
+		let changes = [];
+		let rules = this.sanitizeRules( CSSParser.parseRuleList( text ), options, changes );
+		return { css: rules.join( '\n' ), changes: changes };
+	}
+
+	/**
+	 * @param {Object[]} rules Parsed rules
+	 * @param {Object} options See sanitizeStylesheet
+	 * @param {Object[]} changes
+	 * @return {string[]} Serialized rules
+	 */
+	sanitizeRules( rules, options, changes ) {
+		let out = [];
+		rules.forEach( function ( rule ) {
+			if ( rule.type !== 'qualified-rule' ) {
+				let css = options.atRules.indexOf( rule.name ) !== -1 ?
+					this.sanitizeAtRule( rule, options, changes ) : null;
+				if ( css === null ) {
+					change( changes, null, atRuleValues( rule ), 'dropped', 'css-at-rule' );
+				} else if ( css ) {
+					out.push( css );
+				}
+				return;
+			}
+			if ( !rule.block ) {
+				change( changes, null, rule.prelude, 'dropped', 'css-syntax' );
+				return;
+			}
+			let selectors = splitSelectors( rule.prelude ).filter( function ( selector ) {
+				if ( !isSafeSelector( selector ) || isRelativeSelector( selector ) ) {
+					change( changes, null, selector, 'dropped', 'css-selector' );
+					return false;
+				}
+				return true;
+			} );
+			if ( !selectors.length ) {
+				return;
+			}
+			let declarations = this.sanitizeDeclarations(
+				CSSParser.parseDeclarationList( rule.block.value ), changes
+			);
+			if ( declarations.length ) {
+				out.push( selectors.map( function ( selector ) {
+					return '.' + CSSParser.escapeIdent( options.wrapperClass ) + ' ' + CSSParser.serialize( selector );
+				} ).join( ', ' ) + ' { ' + CSSParser.serializeDeclarations( declarations ) + ' }' );
+			}
+		}, this );
+		return out;
+	}
+
+	/**
+	 * @param {Object} rule An allowed at-rule
+	 * @param {Object} options See sanitizeStylesheet
+	 * @param {Object[]} changes
+	 * @return {string|null} The serialized rule, which is empty if nothing
+	 *  in it survived, or null if the rule itself is not well-formed
+	 */
+	sanitizeAtRule( rule, options, changes ) {
+		let prelude = CSSParser.trim( rule.prelude );
+		if ( rule.name === 'import' ) {
+			let target = prelude[ 0 ];
+			let condition = CSSParser.trim( prelude.slice( 1 ) );
+			if ( rule.block || !target || !isSafeCondition( condition ) ||
+				!( target.type === 'string' || CSSGrammar.matches( 'background-image', [ target ] ) )
+			) {
+				return null;
+			}
+			let url = this.resolveUrls( [ target.type === 'string' ? { type: 'url', value: target.value } : target ] );
+			if ( url === null ) {
+				change( changes, null, atRuleValues( rule ), 'dropped', 'css-url' );
+				return '';
+			}
+			return '@import ' + CSSParser.serialize( url.concat( condition ), true ) + ';';
+		}
+		if ( !rule.block ) {
+			return null;
+		}
+		if ( rule.name === 'font-face' ) {
+			if ( prelude.length ) {
+				return null;
+			}
+			let declarations = this.sanitizeDeclarations(
+				CSSParser.parseDeclarationList( rule.block.value ), changes, 'font-face'
+			);
+			return declarations.length ?
+				'@font-face { ' + CSSParser.serializeDeclarations( declarations ) + ' }' : '';
+		}
+		// @media and @supports
+		if ( !isSafeCondition( prelude ) ) {
+			return null;
+		}
+		let rules = this.sanitizeRules( CSSParser.parseRuleList( rule.block.value ), options, changes );
+		return rules.length ?
+			'@' + rule.name + ' ' + CSSParser.serialize( prelude ) + ' { ' + rules.join( ' ' ) + ' }' : '';
+	}
+
+	/**
+	 * @param {Object} parsed Result of CSSParser.parseDeclarationList
+	 * @param {Object[]} changes To add what was dropped or rewritten to
+	 * @param {string} [atRule] 'font-face' for the descriptors of a
+	 *  @font-face rule
+	 * @return {Object[]} The declarations to keep
+	 */
+	sanitizeDeclarations( parsed, changes, atRule ) {
+		parsed.invalid.forEach( function ( values ) {
+			change( changes, null, values, 'dropped', 'css-syntax' );
+		} );
+		parsed.atRules.forEach( function ( rule ) {
+			change( changes, null, atRuleValues( rule ), 'dropped', 'css-syntax' );
+		} );
+
+		return parsed.declarations.filter( function ( declaration ) {
+			let rule = this.check( declaration, atRule );
+			if ( rule ) {
+				change( changes, declaration.name, declaration.value, 'dropped', rule );
+				return false;
+			}
+			let value = this.resolveUrls( declaration.value );
+			if ( value === null ) {
+				change( changes, declaration.name, declaration.value, 'dropped', 'css-url' );
+				return false;
+			}
+			declaration.value = value;
+			let layout = atRule ? true : this.layout.apply( declaration );
+			if ( layout === false ) {
+				change( changes, declaration.name, declaration.value, 'dropped', 'css-layout' );
+				return false;
+			} else if ( layout !== true ) {
+				change( changes, declaration.name, declaration.value, 'rewritten', 'css-layout' );
+				declaration.value = layout;
+			}
+			return true;
+		}, this );
+	}
+
+	/**
+	 * Resolve the URLs in a value that matched its grammar, ie. url()s
+	 * and the strings in image-set().
+	 *
+	 * @param {Object[]} values
+	 * @return {Object[]|null} The value with the URLs resolved, or null if
+	 *  any of them is not allowed
+	 */
+	resolveUrls( values ) {
+		let urls = this.urls;
+		let allowed = true;
+		let resolve = function ( href ) {
+			let resolved = urls.resolve( href );
+			allowed = allowed && resolved !== null;
+			return { type: 'url', value: resolved || '' };
+		};
+		let walk = function ( list, inImageSet ) {
+			return list.map( function ( v ) {
+				let name = v.type === 'function' && v.name.toLowerCase();
+				if ( v.type === 'url' || ( v.type === 'string' && inImageSet ) ) {
+					return resolve( v.value );
+				} else if ( name === 'url' ) {
+					return resolve( v.value.find( function ( arg ) {
+						return arg.type === 'string';
+					} ).value );
+				} else if ( name ) {
+					return { type: 'function', name: v.name, value: walk( v.value, name === 'image-set' ) };
+				}
+				return v;
+			} );
+		};
+		let resolved = walk( values, false );
+		return allowed ? resolved : null;
+	}
+
+	/**
+	 * @param {Object} declaration
+	 * @param {string} [atRule] See sanitizeDeclarations
+	 * @return {string|null} Why the declaration is not allowed, if it isn't
+	 */
+	check( declaration, atRule ) {
+		if ( atRule ? CSSGrammar.properties( atRule ).indexOf( declaration.name ) === -1 :
+			!this.properties.has( declaration.name )
+		) {
+			return 'css-property';
+		} else if ( !CSSGrammar.matches( declaration.name, declaration.value, atRule ) ) {
+			return 'css-value';
+		}
+		return null;
+	}
+}
+
+CSSSanitizer.atRules = Object.freeze( atRules );
+
+module.exports = CSSSanitizer;
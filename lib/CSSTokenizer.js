@@ -0,0 +1,377 @@
+/*
+ * A CSS tokenizer following CSS Syntax Level 3,
+ * https://www.w3.org/TR/css-syntax-3/#tokenization
+ *
+ * Tokens are plain objects with a `type`, one of 'ident', 'function',
+ * 'at-keyword', 'hash', 'string', 'bad-string', 'url', 'bad-url',
+ * 'delim', 'number', 'percentage', 'dimension', 'whitespace', 'CDO',
+ * 'CDC', ':', ';', ',', '[', ']', '(', ')', '{' and '}'. Escapes are
+ * decoded, so the `value` of an ident is what the browser compares
+ * against, however it was written. Comments are dropped.
+ */
+
+'use strict';
+
+function isDigit( c ) {
+	return c >= '0' && c <= '9';
+}
+
+function isHexDigit( c ) {
+	return /^[0-9a-fA-F]$/.test( c );
+}
+
+function isWhitespace( c ) {
+	return c === ' ' || c === '\t' || c === '\n';
+}
+
+function isNameStart( c ) {
+	return /^[a-zA-Z_]$/.test( c ) || ( c !== '' && c.charCodeAt( 0 ) >= 0x80 );
+}
+
+function isNameChar( c ) {
+	return isNameStart( c ) || isDigit( c ) || c === '-';
+}
+
+function isNonPrintable( c ) {
+	// eslint-disable-next-line no-control-regex
+	return /^[\x00-\x08\x0B\x0E-\x1F\x7F]$/.test( c );
+}
+
+function isValidEscape( a, b ) {
+	return a === '\\' && b !== '\n';
+}
+
+function wouldStartIdent( a, b, c ) {
+	if ( a === '-' ) {
+		return isNameStart( b ) || b === '-' || isValidEscape( b, c );
+	} else if ( a === '\\' ) {
+		return isValidEscape( a, b );
+	}
+	return isNameStart( a );
+}
+
+function wouldStartNumber( a, b, c ) {
+	if ( a === '+' || a === '-' ) {
+		return isDigit( b ) || ( b === '.' && isDigit( c ) );
+	} else if ( a === '.' ) {
+		return isDigit( b );
+	}
+	return isDigit( a );
+}
+
+class CSSTokenizer {
+	/**
+	 * @param {string} text
+	 */
+	constructor( text ) {
+		this.text = text.replace( /\r\n|\r|\f/g, '\n' ).replace( /\0/g, '\uFFFD' );
+		this.pos = 0;
+	}
+
+	/**
+	 * @param {string} text
+	 * @return {Object[]} tokens
+	 */
+	static tokenize( text ) {
+		let tokenizer = new CSSTokenizer( text );
+		let tokens = [];
+		let token;
+		while ( ( token = tokenizer.next() ) !== null ) {
+			tokens.push( token );
+		}
+		return tokens;
+	}
+
+	/**
+	 * @param {number} [n]
+	 * @return {string} The code unit n ahead, or '' at the end
+	 */
+	peek( n ) {
+		return this.text.charAt( this.pos + ( n || 0 ) );
+	}
+
+	/**
+	 * @return {Object|null} The next token, or null at the end
+	 */
+	next() {
+		let text = this.text;
+		while ( text.startsWith( '/*', this.pos ) ) {
+			let end = text.indexOf( '*/', this.pos + 2 );
+			this.pos = end === -1 ? text.length : end + 2;
+		}
+		if ( this.pos >= text.length ) {
+			return null;
+		}
+
+		let c = text[ this.pos++ ];
+		if ( isWhitespace( c ) ) {
+			while ( isWhitespace( this.peek() ) ) {
+				this.pos++;
+			}
+			return { type: 'whitespace' };
+		}
+		switch ( c ) {
+			case '"':
+			case '\'':
+				return this.consumeString( c );
+			case '#':
+				if ( isNameChar( this.peek() ) || isValidEscape( this.peek(), this.peek( 1 ) ) ) {
+					let id = wouldStartIdent( this.peek(), this.peek( 1 ), this.peek( 2 ) );
+					return { type: 'hash', value: this.consumeName(), id: id };
+				}
+				return { type: 'delim', value: c };
+			case '(':
+			case ')':
+			case '[':
+			case ']':
+			case '{':
+			case '}':
+			case ',':
+			case ':':
+			case ';':
+				return { type: c };
+			case '+':
+			case '.':
+				if ( wouldStartNumber( c, this.peek(), this.peek( 1 ) ) ) {
+					this.pos--;
+					return this.consumeNumeric();
+				}
+				return { type: 'delim', value: c };
+			case '-':
+				if ( wouldStartNumber( c, this.peek(), this.peek( 1 ) ) ) {
+					this.pos--;
+					return this.consumeNumeric();
+				} else if ( this.peek() === '-' && this.peek( 1 ) === '>' ) {
+					this.pos += 2;
+					return { type: 'CDC' };
+				} else if ( wouldStartIdent( c, this.peek(), this.peek( 1 ) ) ) {
+					this.pos--;
+					return this.consumeIdentLike();
+				}
+				return { type: 'delim', value: c };
+			case '<':
+				if ( text.startsWith( '!--', this.pos ) ) {
+					this.pos += 3;
+					return { type: 'CDO' };
+				}
+				return { type: 'delim', value: c };
+			case '@':
+				if ( wouldStartIdent( this.peek(), this.peek( 1 ), this.peek( 2 ) ) ) {
+					return { type: 'at-keyword', value: this.consumeName() };
+				}
+				return { type: 'delim', value: c };
+			case '\\':
+				if ( isValidEscape( c, this.peek() ) ) {
+					this.pos--;
+					return this.consumeIdentLike();
+				}
+				return { type: 'delim', value: c };
+		}
+		if ( isDigit( c ) ) {
+			this.pos--;
+			return this.consumeNumeric();
+		} else if ( isNameStart( c ) ) {
+			this.pos--;
+			return this.consumeIdentLike();
+		}
+		return { type: 'delim', value: c };
+	}
+
+	/**
+	 * Consume an escape, after the backslash.
+	 *
+	 * @return {string}
+	 */
+	consumeEscape() {
+		if ( this.pos >= this.text.length ) {
+			return '\uFFFD';
+		}
+		let c = this.text[ this.pos++ ];
+		if ( !isHexDigit( c ) ) {
+			return c;
+		}
+		let hex = c;
+		while ( hex.length < 6 && isHexDigit( this.peek() ) ) {
+			hex += this.text[ this.pos++ ];
+		}
+		if ( isWhitespace( this.peek() ) ) {
+			this.pos++;
+		}
+		let cp = parseInt( hex, 16 );
+		if ( cp === 0 || ( cp >= 0xD800 && cp <= 0xDFFF ) || cp > 0x10FFFF ) {
+			return '\uFFFD';
+		}
+		return String.fromCodePoint( cp );
+	}
+
+	/**
+	 * @return {string}
+	 */
+	consumeName() {
+		let name = '';
+		for ( ;; ) {
+			let c = this.peek();
+			if ( isNameChar( c ) ) {
+				name += c;
+				this.pos++;
+			} else if ( isValidEscape( c, this.peek( 1 ) ) ) {
+				this.pos++;
+				name += this.consumeEscape();
+			} else {
+				return name;
+			}
+		}
+	}
+
+	/**
+	 * @param {string} ending The quote that started the string
+	 * @return {Object} token
+	 */
+	consumeString( ending ) {
+		let value = '';
+		while ( this.pos < this.text.length ) {
+			let c = this.text[ this.pos++ ];
+			if ( c === ending ) {
+				break;
+			} else if ( c === '\n' ) {
+				this.pos--;
+				return { type: 'bad-string' };
+			} else if ( c === '\\' ) {
+				if ( this.peek() === '\n' ) {
+					// Line continuation
+					this.pos++;
+				} else if ( this.pos < this.text.length ) {
+					value += this.consumeEscape();
+				}
+			} else {
+				value += c;
+			}
+		}
+		return { type: 'string', value: value };
+	}
+
+	/**
+	 * @return {Object} `{ repr, value, integer }`
+	 */
+	consumeNumber() {
+		let start = this.pos;
+		let integer = true;
+		let digits = function () {
+			while ( isDigit( this.peek() ) ) {
+				this.pos++;
+			}
+		}.bind( this );
+
+		if ( this.peek() === '+' || this.peek() === '-' ) {
+			this.pos++;
+		}
+		digits();
+		if ( this.peek() === '.' && isDigit( this.peek( 1 ) ) ) {
+			this.pos++;
+			digits();
+			integer = false;
+		}
+		if ( ( this.peek() === 'e' || this.peek() === 'E' ) && (
+			isDigit( this.peek( 1 ) ) ||
+			( ( this.peek( 1 ) === '+' || this.peek( 1 ) === '-' ) && isDigit( this.peek( 2 ) ) )
+		) ) {
+			this.pos += 2;
+			digits();
+			integer = false;
+		}
+		let repr = this.text.slice( start, this.pos );
+		return { repr: repr, value: parseFloat( repr ), integer: integer };
+	}
+
+	/**
+	 * @return {Object} token
+	 */
+	consumeNumeric() {
+		let number = this.consumeNumber();
+		if ( wouldStartIdent( this.peek(), this.peek( 1 ), this.peek( 2 ) ) ) {
+			number.type = 'dimension';
+			number.unit = this.consumeName();
+		} else if ( this.peek() === '%' ) {
+			this.pos++;
+			number.type = 'percentage';
+		} else {
+			number.type = 'number';
+		}
+		return number;
+	}
+
+	/**
+	 * @return {Object} token
+	 */
+	consumeIdentLike() {
+		let name = this.consumeName();
+		if ( this.peek() !== '(' ) {
+			return { type: 'ident', value: name };
+		}
+		this.pos++;
+		if ( name.toLowerCase() !== 'url' ) {
+			return { type: 'function', value: name };
+		}
+		while ( isWhitespace( this.peek() ) && isWhitespace( this.peek( 1 ) ) ) {
+			this.pos++;
+		}
+		let c = isWhitespace( this.peek() ) ? this.peek( 1 ) : this.peek();
+		if ( c === '"' || c === '\'' ) {
+			return { type: 'function', value: name };
+		}
+		return this.consumeUrl();
+	}
+
+	/**
+	 * Consume an unquoted url(), after the opening parenthesis.
+	 *
+	 * @return {Object} token
+	 */
+	consumeUrl() {
+		let value = '';
+		while ( isWhitespace( this.peek() ) ) {
+			this.pos++;
+		}
+		while ( this.pos < this.text.length ) {
+			let c = this.text[ this.pos++ ];
+			if ( c === ')' ) {
+				break;
+			} else if ( isWhitespace( c ) ) {
+				while ( isWhitespace( this.peek() ) ) {
+					this.pos++;
+				}
+				if ( this.peek() === ')' || this.pos >= this.text.length ) {
+					this.pos++;
+					break;
+				}
+				this.consumeBadUrlRemnants();
+				return { type: 'bad-url' };
+			} else if ( c === '"' || c === '\'' || c === '(' || isNonPrintable( c ) ) {
+				this.consumeBadUrlRemnants();
+				return { type: 'bad-url' };
+			} else if ( c === '\\' ) {
+				if ( !isValidEscape( c, this.peek() ) ) {
+					this.consumeBadUrlRemnants();
+					return { type: 'bad-url' };
+				}
+				value += this.consumeEscape();
+			} else {
+				value += c;
+			}
+		}
+		return { type: 'url', value: value };
+	}
+
+	consumeBadUrlRemnants() {
+		while ( this.pos < this.text.length ) {
+			let c = this.text[ this.pos++ ];
+			if ( c === ')' ) {
+				return;
+			} else if ( isValidEscape( c, this.peek() ) ) {
+				this.consumeEscape();
+			}
+		}
+	}
+}
+
+module.exports = CSSTokenizer;
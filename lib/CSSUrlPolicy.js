@@ -0,0 +1,98 @@
+/*
+ * Decides which URLs CSS may load images from.
+ *
+ * Allowed locations are given as absolute http(s) URLs, eg.
+ * `https://upload.example.org/wikipedia/`, which allow everything on
+ * that origin below that path. URLs are resolved against a base URL and
+ * normalized with the WHATWG URL parser before being compared, so that
+ * dot segments, percent-encoding and letter case can't be used to get
+ * around the list, and what is checked is what gets written out.
+ */
+
+'use strict';
+
+const URL = require( 'url' ).URL;
+
+function parse( href, base ) {
+	try {
+		return new URL( href, base );
+	} catch ( e ) {
+		return null;
+	}
+}
+
+function isHttp( url ) {
+	return url.protocol === 'http:' || url.protocol === 'https:';
+}
+
+class CSSUrlPolicy {
+	/**
+	 * @param {Object} [options]
+	 * @param {string[]} [options.allowed] Allowed origins and paths. By
+	 *  default no URL is allowed.
+	 * @param {string} [options.base] URL to resolve relative URLs against.
+	 *  Without it, only absolute and protocol-relative URLs can be
+	 *  allowed, and the latter are resolved as https.
+	 */
+	constructor( options ) {
+		options = options || {};
+		let allowed = options.allowed || [];
+		if ( !Array.isArray( allowed ) ) {
+			throw new Error( 'Invalid CSS URL list: ' + allowed );
+		}
+		this.base = options.base || null;
+		if ( this.base !== null ) {
+			let base = parse( this.base );
+			if ( !base || !isHttp( base ) ) {
+				throw new Error( 'Invalid CSS base URL: ' + this.base );
+			}
+		}
+		this.allowed = Object.freeze( allowed.map( function ( entry ) {
+			let url = typeof entry === 'string' ? parse( entry ) : null;
+			if ( !url || !isHttp( url ) || url.username || url.password || url.search || url.hash ) {
+				throw new Error( 'Invalid CSS URL: ' + entry );
+			}
+			return Object.freeze( { origin: url.origin, path: url.pathname } );
+		} ) );
+		Object.freeze( this );
+	}
+
+	/**
+	 * @return {Object} Each allowed location as its origin and path, and
+	 *  the base URL relative ones resolve against, as CSSUrlPolicy options
+	 */
+	toOptions() {
+		return {
+			allowed: this.allowed.map( function ( entry ) {
+				return entry.origin + entry.path;
+			} ),
+			base: this.base
+		};
+	}
+
+	/**
+	 * @param {string} href A URL from a stylesheet, with CSS escapes
+	 *  already decoded
+	 * @return {string|null} The resolved URL if it is allowed, or null
+	 */
+	resolve( href ) {
+		// eslint-disable-next-line no-control-regex
+		if ( !this.allowed.length || /[\x00-\x1F\x7F\\]/.test( href ) ) {
+			return null;
+		}
+		let url = this.base ? parse( href, this.base ) :
+			parse( /^\/\//.test( href ) ? 'https:' + href : href );
+		if ( !url || !isHttp( url ) || url.username || url.password ) {
+			return null;
+		}
+		let allowed = this.allowed.some( function ( entry ) {
+			return url.origin === entry.origin && (
+				url.pathname === entry.path ||
+				url.pathname.startsWith( /\/$/.test( entry.path ) ? entry.path : entry.path + '/' )
+			);
+		} );
+		return allowed ? url.href : null;
+	}
+}
+
+module.exports = CSSUrlPolicy;
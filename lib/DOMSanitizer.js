@@ -1,9 +1,33 @@
-const SAXParser = require( 'sax' ).SAXParser;
+const sax = require( 'sax' );
+const StringDecoder = require( 'string_decoder' ).StringDecoder;
+const CSSSanitizer = require( './CSSSanitizer' );
 const TokenSanitzer = require( './TokenSanitizer' );
+const HTMLSerializer = require( './HTMLSerializer' );
+const TagBalancer = require( './TagBalancer' );
+const HTML5Parser = require( './HTML5Parser' );
+const SanitizerStream = require( './SanitizerStream' );
+const SanitizerPlugins = require( './SanitizerPlugins' );
+const SanitizerPolicy = require( './SanitizerPolicy' );
+const PolicyPresets = require( './PolicyPresets' );
+const UrlProtocols = require( './UrlProtocols' );
+const UrlResolver = require( './UrlResolver' );
+const WikitextConstants = require( './config/WikitextConstants' );
 const defines = require( './Tokens' );
 const Util = require( './utils/Util' );
 
-class DOMSanitizer extends SAXParser {
+const S = sax.STATE;
+// Entities for sax that keep every reference as written, see
+// installEntityHooks()
+const rawEntities = new Proxy( {}, {
+	get: function ( target, name ) {
+		return '&' + name + ';';
+	}
+} );
+// Thrown to stop validation at the first violation
+const stopValidation = new Error( 'Validation stopped' );
+const asyncIteratorSymbol = Symbol.asyncIterator || Symbol.for( 'Symbol.asyncIterator' );
+
+class DOMSanitizer extends sax.SAXParser {
 	constructor( conf ) {
 		super(
 			false, /* strict, for HTML it is false */
@@ -11,60 +35,856 @@ class DOMSanitizer extends SAXParser {
 				lowercase: true
 			}
 		);
-		Object.assign(
-			this.conf,
+		this.conf = Object.assign(
 			{
-				wiki: {
-					hasValidProtocol: function ( proto ) {
-					// FIXME: At least use parsoid baseconfig protocols
-						return !!proto;
-					}
-				}
+				// An object with a hasValidProtocol( proto ) method.
+				// Defaults to checking against urlProtocols.
+				wiki: null,
+				// Allowed URL protocols, see UrlProtocols
+				urlProtocols: WikitextConstants.Sanitizer.UrlProtocols,
+				// One of 'drop', 'escape' or 'parsoid',
+				// see TokenSanitizer.sanitizeComment
+				commentPolicy: 'escape',
+				// Disallowed elements which are dropped along with their
+				// content instead of being escaped as text
+				dropContentTags: [ 'iframe', 'noscript', 'script', 'style', 'template' ],
+				// 'sax' for the loose sax tokenizer, or 'html5' to parse
+				// the way browsers do (see HTML5Parser)
+				parser: 'sax',
+				// One of PolicyPresets.names()
+				preset: 'wikitext',
+				// A SanitizerPolicy, or options for the preset to compile
+				// one from
+				policy: null,
+				// See SanitizerPlugins
+				plugins: [],
+				// Keep <style> elements, with their stylesheets sanitized
+				// by CSSSanitizer#sanitizeStylesheet: true, or options
+				// for it (see DOMSanitizer.styleElementDefaults)
+				styleElements: null,
+				// A UrlResolver, or options for one, to resolve relative
+				// URLs against the page the HTML comes from
+				resolveUrls: null
 			},
 			conf
 		);
+		if ( this.conf.parser !== 'sax' && this.conf.parser !== 'html5' ) {
+			throw new Error( 'Invalid parser: ' + this.conf.parser );
+		}
+		if ( this.conf.styleElements ) {
+			this.conf.styleElements = DOMSanitizer.styleElementOptions( this.conf.styleElements );
+		}
+		if ( this.conf.resolveUrls && !( this.conf.resolveUrls instanceof UrlResolver ) ) {
+			this.conf.resolveUrls = new UrlResolver( this.conf.resolveUrls );
+		}
+		if ( !this.conf.wiki ) {
+			let protocols = new UrlProtocols( this.conf.urlProtocols );
+			this.conf.wiki = {
+				hasValidProtocol: function ( proto ) {
+					return protocols.test( proto );
+				}
+			};
+		}
+		if ( !( this.conf.policy instanceof SanitizerPolicy ) ) {
+			this.conf.policy = PolicyPresets.build( this.conf.preset, this.conf.policy );
+		}
+		// Tokens carry their source range as tsr. Expose the input to
+		// Token#getWTSource so that disallowed tags are escaped exactly as
+		// they were written.
+		let self = this;
+		this.conf.page = {
+			get src() {
+				return self.source;
+			},
+			get srcOffset() {
+				return self.sourceOffset;
+			}
+		};
+		this.plugins = new SanitizerPlugins( this.conf.plugins );
+		this.dropContentTags = new Set( this.conf.dropContentTags );
+		if ( this.conf.styleElements ) {
+			this.dropContentTags.delete( 'style' );
+		}
+		this.balancer = new TagBalancer();
+		this.installFragmentHooks();
+		this.installEntityHooks();
 		this.buffer = '';
+		// The input from the start of the current tag on, to tell explicit
+		// end tags from implied ones. sourceOffset is the position of its
+		// first character in the whole input.
+		this.source = '';
+		this.sourceOffset = 0;
+		// Input held back for the html5 parser, which is not incremental
+		this.pending = '';
+		// Nesting depth of dropped elements we are inside of
+		this.dropDepth = 0;
+		// The <style> element we are inside of, and its text so far
+		this.style = null;
+		// The comment sax is still parsing, see collectComment()
+		this.commentParts = null;
+		// Line and column (0-based) of an input position, advanced as
+		// tags are located
+		this.cursor = { index: 0, line: 0, column: 0 };
+		// Changes made to the input, when a report was asked for
+		this.report = null;
+		this.stopAtFirst = false;
+	}
+
+	/**
+	 * @param {boolean|Object} options The styleElements option
+	 * @return {Object} Options for CSSSanitizer#sanitizeStylesheet
+	 */
+	static styleElementOptions( options ) {
+		options = Object.assign( {}, DOMSanitizer.styleElementDefaults, options === true ? {} : options );
+		if ( typeof options.wrapperClass !== 'string' || !/^[a-zA-Z_-][\w-]*$/.test( options.wrapperClass ) ) {
+			throw new Error( 'Invalid wrapper class: ' + options.wrapperClass );
+		}
+		if ( !Array.isArray( options.atRules ) ) {
+			throw new Error( 'Invalid at-rule: ' + options.atRules );
+		}
+		options.atRules.forEach( function ( name ) {
+			if ( CSSSanitizer.atRules.indexOf( name ) === -1 ) {
+				throw new Error( 'Invalid at-rule: ' + name );
+			}
+		} );
+		return Object.freeze( {
+			wrapperClass: options.wrapperClass,
+			atRules: Object.freeze( options.atRules.slice() )
+		} );
+	}
 
+	/**
+	 * sax in non-strict mode turns end tags without a matching open element
+	 * into text, and stops recognizing tags once the first root element is
+	 * closed. Neither is right for HTML fragments, so intercept the two
+	 * fields involved: unmatched end tags are passed to onorphanclosetag,
+	 * and the root element never counts as closed.
+	 */
+	installFragmentHooks() {
+		let self = this;
+		let textNode = this.textNode;
+		Object.defineProperty( this, 'textNode', {
+			get: function () {
+				return textNode;
+			},
+			set: function ( value ) {
+				if ( ( self.state === S.CLOSE_TAG || self.state === S.CLOSE_TAG_SAW_WHITE ) &&
+					value === textNode + '</' + self.tagName + '>'
+				) {
+					if ( textNode ) {
+						let text = textNode;
+						textNode = '';
+						self.ontext( text );
+					}
+					self.onorphanclosetag( self.tagName.toLowerCase() );
+					return;
+				}
+				textNode = value;
+			}
+		} );
+		Object.defineProperty( this, 'closedRoot', {
+			get: function () {
+				return false;
+			},
+			set: function () {}
+		} );
+	}
+
+	/**
+	 * sax only knows the entities of HTML 4, matches their names in any
+	 * case, and decodes numeric references with String.fromCodePoint,
+	 * which throws past U+10FFFF. So it is given entities that keep every
+	 * reference as written, and ontext() and onattribute() decode text and
+	 * attribute values with TokenSanitizer.decodeCharReferences, the way
+	 * browsers read them.
+	 *
+	 * What is left is a reference without a semicolon, which sax ends at
+	 * a character it then takes as text: that can be a `<`, a closing
+	 * quote or the end of an unquoted value, so parse it again.
+	 */
+	installEntityHooks() {
+		let self = this;
+		let buffers = {};
+		buffers[ S.TEXT_ENTITY ] = 'textNode';
+		buffers[ S.ATTRIB_VALUE_ENTITY_Q ] = 'attribValue';
+		buffers[ S.ATTRIB_VALUE_ENTITY_U ] = 'attribValue';
+		let entity = this.entity;
+		Object.defineProperty( this, 'entity', {
+			get: function () {
+				return entity;
+			},
+			set: function ( value ) {
+				let buffer = buffers[ self.state ];
+				if ( buffer && !value && !self[ buffer ].endsWith( '&' + entity + ';' ) ) {
+					let c = self[ buffer ].slice( -1 );
+					self[ buffer ] = self[ buffer ].slice( 0, -1 );
+					self.replayAfterEntity( c );
+				}
+				entity = value;
+			}
+		} );
+	}
+
+	/**
+	 * Feed a character sax already consumed to it again, as soon as it
+	 * leaves the entity state.
+	 *
+	 * @param {string} c
+	 */
+	replayAfterEntity( c ) {
+		let state = this.state;
+		Object.defineProperty( this, 'state', {
+			configurable: true,
+			get: function () {
+				return state;
+			},
+			set: function ( value ) {
+				delete this.state;
+				this.state = value;
+				this.position--;
+				if ( c === '\n' ) {
+					this.line--;
+				} else {
+					this.column--;
+				}
+				sax.SAXParser.prototype.write.call( this, c );
+			}
+		} );
+	}
+
+	write( chunk ) {
+		if ( chunk !== null ) {
+			this.source += chunk;
+		}
+		super.write( chunk );
+		// Only the current tag can still be needed
+		let start = this.startTagPosition - 1 - this.sourceOffset;
+		if ( start > 0 ) {
+			this.advanceTo( this.sourceOffset + start );
+			this.source = this.source.slice( start );
+			this.sourceOffset += start;
+		}
+		return this;
 	}
 
-	sanitizeHTML( html ) {
+	/**
+	 * Add a plugin, see SanitizerPlugins.
+	 *
+	 * @param {Object} plugin
+	 * @return {DOMSanitizer}
+	 */
+	use( plugin ) {
+		this.plugins.add( plugin );
+		return this;
+	}
+
+	/**
+	 * @param {string} html
+	 * @param {Object} [options]
+	 * @param {boolean} [options.report] Also return a list of the changes
+	 *  made, see record()
+	 * @return {string|Object} The sanitized HTML, or with a report,
+	 *  `{ html, report }`
+	 */
+	sanitizeHTML( html, options ) {
+		this.begin( options );
+		let out = this.feed( html ) + this.finish();
+		return this.report ? { html: out, report: this.report } : out;
+	}
+
+	/**
+	 * Check whether HTML is already safe, ie. whether sanitizing it would
+	 * change anything. Runs the same rules as sanitizeHTML, but returns no
+	 * output.
+	 *
+	 * @param {string} html
+	 * @param {Object} [options]
+	 * @param {boolean} [options.stopAtFirst] Stop at the first violation
+	 * @return {Object} `{ safe, violations }`, where each violation is a
+	 *  report entry (see record())
+	 */
+	validate( html, options ) {
+		this.begin( { report: true, stopAtFirst: options && options.stopAtFirst } );
+		try {
+			this.feed( html );
+			this.finish();
+		} catch ( e ) {
+			if ( e !== stopValidation ) {
+				throw e;
+			}
+		}
+		let violations = this.report;
+		// Discard the output and any state left by stopping early
+		this.begin();
+		return { safe: violations.length === 0, violations: violations };
+	}
+
+	/**
+	 * Start sanitizing a new document in chunks with feed() and finish().
+	 *
+	 * @param {Object} [options]
+	 * @param {boolean} [options.report] Keep a list of the changes made
+	 *  in `this.report`
+	 * @param {boolean} [options.stopAtFirst] Throw stopValidation on the
+	 *  first change, see validate()
+	 */
+	begin( options ) {
+		// Reset the parser, in case a previous document was abandoned
+		sax.SAXParser.call( this, false, this.opt );
+		this.ENTITIES = rawEntities;
+		this.startTagPosition = 0;
+		this.buffer = '';
+		this.source = '';
+		this.sourceOffset = 0;
+		this.pending = '';
+		this.dropDepth = 0;
+		this.style = null;
+		this.commentParts = null;
+		this.cursor = { index: 0, line: 0, column: 0 };
+		this.report = options && options.report ? [] : null;
+		this.stopAtFirst = !!( options && options.stopAtFirst );
+		this.balancer.reset();
+	}
+
+	/**
+	 * Sanitize the next chunk of input.
+	 *
+	 * @param {string} chunk
+	 * @return {string} The output that is complete so far. Everything
+	 *  returned is sanitized; markup that is not known to be safe yet is
+	 *  held back until a later chunk.
+	 */
+	feed( chunk ) {
+		if ( this.conf.parser === 'html5' ) {
+			this.pending += chunk;
+		} else {
+			this.write( chunk );
+		}
+		return this.takeOutput();
+	}
+
+	/**
+	 * Signal the end of the input.
+	 *
+	 * @return {string} The rest of the output
+	 */
+	finish() {
+		if ( this.conf.parser === 'html5' ) {
+			let html = this.pending;
+			this.pending = '';
+			this.source = html;
+			HTML5Parser.parse( html, this );
+		} else {
+			this.close();
+		}
+		return this.takeOutput();
+	}
+
+	takeOutput() {
+		let out = this.buffer;
 		this.buffer = '';
-		this.write( html ).close();
-		return this.buffer;
+		return out;
+	}
+
+	/**
+	 * Create a Transform stream that sanitizes the HTML written to it.
+	 * Output is pushed as soon as it is known to be safe. With the html5
+	 * parser the whole input is buffered, since the tree builder needs all
+	 * of it.
+	 *
+	 * @param {Object} [options] Options for the stream.Transform
+	 * @return {SanitizerStream}
+	 */
+	createStream( options ) {
+		return new SanitizerStream( this, options );
+	}
+
+	/**
+	 * Sanitize a sequence of HTML chunks.
+	 *
+	 * @param {Iterable|AsyncIterable} chunks Strings or Buffers
+	 * @return {AsyncIterator} Yields the sanitized output as strings
+	 */
+	sanitizeChunks( chunks ) {
+		let self = this;
+		let decoder = new StringDecoder( 'utf8' );
+		let iterator = chunks[ asyncIteratorSymbol ] ?
+			chunks[ asyncIteratorSymbol ]() : chunks[ Symbol.iterator ]();
+		let done = false;
+
+		this.begin();
+		function next() {
+			if ( done ) {
+				return Promise.resolve( { value: undefined, done: true } );
+			}
+			return Promise.resolve( iterator.next() ).then( function ( item ) {
+				let out;
+				if ( item.done ) {
+					done = true;
+					out = self.feed( decoder.end() ) + self.finish();
+				} else {
+					let chunk = item.value;
+					out = self.feed( typeof chunk === 'string' ? chunk : decoder.write( chunk ) );
+				}
+				// Skip chunks which produced no output yet
+				return out || done ? { value: out, done: false } : next();
+			} );
+		}
+
+		return {
+			next: next,
+			[ asyncIteratorSymbol ]: function () {
+				return this;
+			}
+		};
+	}
+
+	/**
+	 * Append sanitized tokens to the output.
+	 *
+	 * @param {Array} tokens Tokens, or strings for escaped tags
+	 */
+	emit( tokens ) {
+		for ( let i = 0; i < tokens.length; i++ ) {
+			let token = tokens[ i ];
+			let html = HTMLSerializer.serializeToken( token );
+			if ( typeof token !== 'string' &&
+				( token.dataAttribs.autoInsertedEnd || token.dataAttribs.autoInsertedStart )
+			) {
+				this.record( token.name, null, html, 'inserted', 'tag-balance',
+					this.conf.parser === 'html5' ? null : this.tagLocation() );
+			}
+			this.buffer += html;
+		}
+	}
+
+	/**
+	 * Whether the end tag sax is reporting was actually written in the
+	 * input, rather than implied by an enclosing end tag.
+	 *
+	 * @param {string} nodename
+	 * @return {boolean}
+	 */
+	isExplicitClose( nodename ) {
+		let re = /<\/([^\s/>]*)/y;
+		re.lastIndex = this.startTagPosition - 1 - this.sourceOffset;
+		let m = re.exec( this.source );
+		return !!m && m[ 1 ].toLowerCase() === nodename;
+	}
+
+	/**
+	 * Move the line/column cursor forward to an input position within the
+	 * retained source.
+	 *
+	 * @param {number} index
+	 */
+	advanceTo( index ) {
+		let cursor = this.cursor;
+		if ( index <= cursor.index ) {
+			return;
+		}
+		let text = this.source.slice( cursor.index - this.sourceOffset, index - this.sourceOffset );
+		let lines = text.split( '\n' );
+		if ( lines.length > 1 ) {
+			cursor.line += lines.length - 1;
+			cursor.column = lines[ lines.length - 1 ].length;
+		} else {
+			cursor.column += text.length;
+		}
+		cursor.index = index;
+	}
+
+	/**
+	 * Location of the tag or comment being handled, for the report.
+	 *
+	 * @param {Object|null} [location] Location given by the html5 parser
+	 * @return {Object|null} 1-based `{ line, column }`, or null if the
+	 *  markup is not in the source
+	 */
+	tagLocation( location ) {
+		if ( !this.report ) {
+			return null;
+		}
+		if ( location !== undefined ) {
+			return location;
+		}
+		this.advanceTo( this.startTagPosition - 1 );
+		return { line: this.cursor.line + 1, column: this.cursor.column + 1 };
+	}
+
+	/**
+	 * Data attributes for a token for the tag being handled.
+	 *
+	 * @param {Object|null} [location] Location given by the html5 parser
+	 * @return {Object}
+	 */
+	dataAttribs( location ) {
+		// Mark the tokens as HTML tags so that the tag whitelist applies
+		let da = { stx: 'html' };
+		if ( location === undefined ) {
+			da.tsr = [ this.startTagPosition - 1, this.position ];
+		} else if ( location ) {
+			da.tsr = location.tsr;
+		}
+		return da;
 	}
 
+	/**
+	 * Add an entry to the report, if one is being kept.
+	 *
+	 * @param {string} element Tag name, or '#comment'
+	 * @param {string|null} attribute Attribute name, for attribute changes
+	 * @param {string} value The original attribute value, tag or comment
+	 * @param {string} action 'dropped', 'rewritten', 'escaped', 'flagged'
+	 *  or 'inserted', for tags added to balance the output
+	 * @param {string} rule Name of the rule that made the change
+	 * @param {Object|null} location
+	 */
+	record( element, attribute, value, action, rule, location ) {
+		if ( !this.report ) {
+			return;
+		}
+		this.report.push( {
+			element: element,
+			attribute: attribute,
+			value: value,
+			action: action,
+			rule: rule,
+			line: location ? location.line : null,
+			column: location ? location.column : null
+		} );
+		if ( this.stopAtFirst ) {
+			throw stopValidation;
+		}
+	}
+
+	/**
+	 * Report the attributes sanitizeTagAttrs dropped or changed, from the
+	 * shadow info it leaves on the token.
+	 *
+	 * @param {Token} token
+	 * @param {Object|null} location
+	 */
+	recordAttributes( token, location ) {
+		let da = token.dataAttribs;
+		if ( !this.report || !da.sr ) {
+			return;
+		}
+		Object.keys( da.sr ).forEach( function ( name ) {
+			let action = da.a && da.a[ name ] === null ? 'dropped' : 'rewritten';
+			if ( da.sd && da.sd[ name ] ) {
+				// One entry for each CSS declaration that was changed
+				da.sd[ name ].forEach( function ( change ) {
+					let value = change.property ? change.property + ': ' + change.value : change.value;
+					this.record( token.name, name, value, change.action, change.rule, location );
+				}, this );
+				return;
+			}
+			this.record( token.name, name, da.sa[ name ], action, da.sr[ name ], location );
+		}, this );
+	}
+
+	/**
+	 * Non-strict sax only fails when the input ends inside a tag, comment
+	 * or reference, like `<p>x</p><` or `a &`, which is kept as text.
+	 * Anything else is a bug.
+	 *
+	 * @param {Error} e
+	 */
 	onerror( e ) {
-		throw Error( e );
+		if ( !/^Unexpected end\b/.test( e.message ) ) {
+			throw Error( e );
+		}
+		this.error = null;
+		this.commentParts = null;
+		if ( this.state === S.TEXT_ENTITY ) {
+			this.ontext( '&' + this.entity );
+		} else {
+			this.handleText( this.source.slice( this.startTagPosition - 1 - this.sourceOffset ) );
+		}
+	}
+
+	/**
+	 * Emit a tag token, or what a plugin replaced it with.
+	 *
+	 * @param {Token|string|null} token
+	 */
+	emitTag( token ) {
+		if ( token === null ) {
+			return;
+		} else if ( typeof token === 'string' ) {
+			this.emit( this.balancer.text().concat( token ) );
+		} else if ( token.constructor.name === 'EndTagTk' ) {
+			this.emit( this.balancer.endTag( token ) );
+		} else {
+			this.emit( this.balancer.startTag( token ) );
+		}
+	}
+
+	/**
+	 * Start collecting the stylesheet of a <style> element. It is
+	 * emitted once the element is closed, see endStyle().
+	 *
+	 * @param {TagTk} token
+	 * @param {Object|null} [location] Location given by the html5 parser
+	 */
+	startStyle( token, location ) {
+		location = this.tagLocation( location );
+		TokenSanitzer.sanitizeTagAttrs( this.conf, 'style', token, token.attribs );
+		this.recordAttributes( token, location );
+		this.style = { token: token, text: '', location: location };
+	}
+
+	endStyle() {
+		let style = this.style;
+		let css = this.conf.policy.css.sanitizeStylesheet( style.text, this.conf.styleElements );
+		this.style = null;
+		css.changes.forEach( function ( change ) {
+			let value = change.property ? change.property + ': ' + change.value : change.value;
+			this.record( 'style', null, value, change.action, change.rule, style.location );
+		}, this );
+		this.emit( this.balancer.startTag( style.token ) );
+		this.buffer += HTMLSerializer.escapeRawText( css.css, 'style' );
+		this.emit( this.balancer.endTag( new defines.EndTagTk( 'style' ) ) );
 	}
 
+	onend() {
+		if ( this.style ) {
+			this.endStyle();
+		}
+		let tokens = this.plugins.onEnd( this );
+		this.emit( this.balancer.end() );
+		// Appended after everything is closed, and closed again
+		if ( tokens.length ) {
+			tokens.forEach( this.emitTag, this );
+			this.emit( this.balancer.end() );
+		}
+	}
+
+	/**
+	 * Text from sax, with its character references as written (see
+	 * installEntityHooks). They aren't references in a <style> element,
+	 * whose text is raw.
+	 *
+	 * @param {string} text
+	 */
 	ontext( text ) {
-		this.buffer += text;
+		this.handleText( this.style ? text : TokenSanitzer.decodeCharReferences( text, false ) );
+	}
+
+	/**
+	 * An attribute from sax, with its character references as written.
+	 *
+	 * @param {Object} attr `{ name, value }`
+	 */
+	onattribute( attr ) {
+		this.tag.attributes[ attr.name ] = TokenSanitzer.decodeCharReferences( attr.value, true );
+	}
+
+	/**
+	 * @param {string} text Decoded text
+	 */
+	handleText( text ) {
+		if ( this.dropDepth > 0 ) { return; }
+		if ( this.style ) {
+			this.style.text += text;
+			return;
+		}
+		text = this.plugins.onText( text, this );
+		if ( text === null ) { return; }
+		this.emit( this.balancer.text() );
+		this.buffer += HTMLSerializer.serializeText( text, this.balancer.currentNode() );
 	}
 
-	oncomment( comment ) {
+	/**
+	 * sax ends a comment at its first `--`, and starts another one with
+	 * the rest if no `>` follows, so `<!-- a -- b -->` comes as ` a ` and
+	 * `-- b `. Collect the parts until sax is back to text, and handle
+	 * them as the one comment they are.
+	 *
+	 * @param {string} part
+	 */
+	collectComment( part ) {
+		this.commentParts = ( this.commentParts || '' ) + part;
+		let state = this.state;
+		Object.defineProperty( this, 'state', {
+			configurable: true,
+			get: function () {
+				return state;
+			},
+			set: function ( value ) {
+				delete this.state;
+				this.state = value;
+				if ( value === S.TEXT ) {
+					let comment = this.commentParts;
+					this.commentParts = null;
+					this.handleComment( comment );
+				}
+			}
+		} );
+	}
+
+	/**
+	 * @param {string} comment
+	 * @param {Object|null} [location] Location given by the html5 parser
+	 */
+	oncomment( comment, location ) {
+		if ( location === undefined ) {
+			this.collectComment( comment );
+		} else {
+			this.handleComment( comment, location );
+		}
+	}
+
+	/**
+	 * @param {string} comment
+	 * @param {Object|null} [location] Location given by the html5 parser
+	 */
+	handleComment( comment, location ) {
+		if ( this.dropDepth > 0 ) { return; }
+		if ( this.style ) {
+			// Within <style>, sax sees `<!--` as a comment where browsers
+			// see the CDO and CDC tokens of CSS, which CSSParser skips
+			this.style.text += '<!--' + comment + '-->';
+			return;
+		}
+		comment = this.plugins.onComment( comment, this );
+		if ( comment === null ) { return; }
 		let token = new defines.CommentTk( comment );
 		token = TokenSanitzer.sanitizeToken( this.conf, token, false );
-		this.buffer += token.toHtml();
+		if ( token ) {
+			if ( token.value !== comment ) {
+				this.record( '#comment', null, comment, 'rewritten', 'comment-policy', this.tagLocation( location ) );
+			}
+			this.buffer += HTMLSerializer.serializeToken( token );
+		} else {
+			this.record( '#comment', null, comment, 'dropped', 'comment-policy', this.tagLocation( location ) );
+		}
 	}
 
 	onopentag( node ) {
 		let token;
+		if ( this.dropDepth > 0 ) {
+			if ( this.dropContentTags.has( node.name ) ) {
+				this.dropDepth++;
+			}
+			return;
+		}
+		// sax parses markup within <style>, which is text to browsers
+		if ( this.style ) { return; }
 		if ( Util.isVoidElement( node.name ) ) {
-			token = new defines.SelfclosingTagTk( node.name );
+			token = new defines.SelfclosingTagTk( node.name, [], this.dataAttribs( node.location ) );
 		} else {
-			token = new defines.TagTk( node.name );
+			token = new defines.TagTk( node.name, [], this.dataAttribs( node.location ) );
 		}
 		token.setAttributes( node.attributes );
+		token = this.plugins.beforeTag( token, this );
+		if ( token === null || typeof token === 'string' ) {
+			this.emitTag( token );
+			return;
+		}
+		if ( token.name === 'style' && this.conf.styleElements && token.constructor.name === 'TagTk' ) {
+			this.startStyle( token, node.location );
+			return;
+		}
 		token = TokenSanitzer.sanitizeToken( this.conf, token, false );
-		this.buffer += token.toHtml();
+		if ( typeof token === 'string' ) {
+			if ( node.implied ) {
+				// Disallowed, but not written by the author either
+				if ( this.dropContentTags.has( node.name ) ) {
+					this.dropDepth++;
+				}
+				return;
+			}
+			let location = this.tagLocation( node.location );
+			if ( this.dropContentTags.has( node.name ) ) {
+				this.record( node.name, null, token, 'dropped', 'drop-content', location );
+				this.dropDepth++;
+				return;
+			}
+			this.record( node.name, null, token, 'escaped', 'tag-whitelist', location );
+			this.emit( this.balancer.text().concat( token ) );
+		} else if ( ( token.name === 'link' || token.name === 'meta' ) &&
+			!TokenSanitzer.allowsMetadataTag( token )
+		) {
+			this.record( node.name, null, HTMLSerializer.serializeToken( token ), 'dropped', 'metadata-tag',
+				this.tagLocation( node.location ) );
+		} else {
+			if ( node.implied ) {
+				this.record( node.name, null, HTMLSerializer.serializeToken( token ), 'inserted', 'tag-balance', null );
+			} else {
+				this.recordAttributes( token, this.tagLocation( node.location ) );
+			}
+			this.emitTag( this.plugins.afterTag( token, this ) );
+		}
 	}
 
 	onclosetag( nodename ) {
+		// Elements closed implicitly by sax are left to the balancer, but
+		// still count towards the nesting of dropped elements
+		if ( this.dropDepth === 0 && !this.isExplicitClose( nodename ) ) { return; }
+		this.onendtag( nodename );
+	}
+
+	onorphanclosetag( nodename ) {
+		if ( this.dropDepth > 0 || !nodename ) { return; }
+		this.onendtag( nodename );
+	}
+
+	/**
+	 * Handle an end tag that was written in the input (or, for the HTML5
+	 * backend, implied by the tree builder).
+	 *
+	 * @param {string} nodename
+	 * @param {boolean} [implied] The element was not in the source at all
+	 * @param {Object|null} [location] Location given by the html5 parser
+	 */
+	onendtag( nodename, implied, location ) {
+		if ( this.dropDepth > 0 ) {
+			if ( this.dropContentTags.has( nodename ) ) {
+				this.dropDepth--;
+			}
+			return;
+		}
+		if ( this.style ) {
+			if ( nodename === 'style' ) {
+				this.endStyle();
+			}
+			return;
+		}
 		if ( Util.isVoidElement( nodename ) ) { return; }
-		let token = new defines.EndTagTk( nodename );
+		let token = new defines.EndTagTk( nodename, [], this.dataAttribs( location ) );
+		token = this.plugins.beforeTag( token, this );
+		if ( token === null || typeof token === 'string' ) {
+			this.emitTag( token );
+			return;
+		}
 		token = TokenSanitzer.sanitizeToken( this.conf, token, false );
-		this.buffer += token.toHtml();
+		if ( typeof token === 'string' ) {
+			if ( !implied ) {
+				let rule = this.conf.policy.allowsTag( nodename ) ? 'end-tag' : 'tag-whitelist';
+				this.record( nodename, null, token, 'escaped', rule, this.tagLocation( location ) );
+				this.emit( this.balancer.text().concat( token ) );
+			}
+		} else {
+			if ( !implied && !this.balancer.isOpen( token.name ) ) {
+				this.record( token.name, null, token.toHtml(), 'dropped', 'unmatched-end-tag', this.tagLocation( location ) );
+			} else if ( !implied && location === null ) {
+				// The html5 tree builder closed an element that was left open
+				this.record( token.name, null, token.toHtml(), 'inserted', 'tag-balance', null );
+			}
+			this.emitTag( this.plugins.afterTag( token, this ) );
+		}
 	}
 }
 
+/**
+ * Defaults for the styleElements option: selectors go under the class of
+ * the parser output, and only @media rules are kept.
+ */
+DOMSanitizer.styleElementDefaults = Object.freeze( {
+	wrapperClass: 'mw-parser-output',
+	atRules: Object.freeze( [ 'media' ] )
+} );
+
 module.exports = DOMSanitizer;
@@ -0,0 +1,102 @@
+/*
+ * HTML5 parser backend for the DOMSanitizer.
+ *
+ * sax tokenizes HTML loosely, which is not how browsers see it. Markup that
+ * one parser reads differently from another is where mutation XSS comes
+ * from, so this backend runs the WHATWG tokenizer and tree construction
+ * algorithm (via parse5) over the whole fragment, and replays the resulting
+ * tree as the same open tag / text / comment / end tag events the sax
+ * backend produces.
+ */
+
+'use strict';
+
+const parse5 = require( 'parse5' );
+const Util = require( './utils/Util' );
+
+/**
+ * @param {Object} [loc] parse5 location info
+ * @return {Object|null} 1-based line and column, and the source range as
+ *  `tsr`
+ */
+function location( loc ) {
+	return loc ? {
+		line: loc.startLine,
+		column: loc.startCol,
+		tsr: [ loc.startOffset, loc.endOffset ]
+	} : null;
+}
+
+// The <body> of an empty document, used as the context element for
+// fragment parsing. Without one, parse5 parses as if inside a <template>.
+const bodyContext = parse5.parse( '' ).childNodes[ 0 ].childNodes[ 1 ];
+
+class HTML5Parser {
+
+	/**
+	 * Parse an HTML fragment the way a browser would in a `<body>` context
+	 * and feed it to the handler.
+	 *
+	 * @param {string} html
+	 * @param {Object} handler A DOMSanitizer; receives onopentag, handleText,
+	 *  oncomment, onendtag and onend calls. Tags and comments come with
+	 *  their location in the source, or null if the tree builder made
+	 *  them up.
+	 */
+	static parse( html, handler ) {
+		let fragment = parse5.parseFragment( bodyContext, html, { sourceCodeLocationInfo: true } );
+		HTML5Parser.walk( fragment.childNodes, handler, new Set() );
+		handler.onend();
+	}
+
+	/**
+	 * @param {Object[]} nodes parse5 nodes
+	 * @param {Object} handler
+	 * @param {Set} startTags Offsets of the start tags seen so far
+	 */
+	static walk( nodes, handler, startTags ) {
+		for ( let i = 0; i < nodes.length; i++ ) {
+			let node = nodes[ i ];
+			switch ( node.nodeName ) {
+				case '#text':
+					handler.handleText( node.value );
+					break;
+				case '#comment':
+					handler.oncomment( node.data, location( node.sourceCodeLocation ) );
+					break;
+				case '#documentType':
+					break;
+				default: {
+					let name = node.tagName.toLowerCase();
+					let attributes = {};
+					node.attrs.forEach( function ( attr ) {
+						let attrName = attr.prefix ? attr.prefix + ':' + attr.name : attr.name;
+						attributes[ attrName.toLowerCase() ] = attr.value;
+					} );
+					// Elements the tree builder inserted on its own, like the
+					// <tbody> of a table, have no location in the source.
+					// Formatting elements it reopens, like the second <b> of
+					// `<i><b>x</i>y`, have the location of the first.
+					let loc = node.sourceCodeLocation;
+					let implied = !loc || startTags.has( loc.startOffset );
+					if ( loc ) {
+						startTags.add( loc.startOffset );
+					}
+					handler.onopentag( {
+						name: name,
+						attributes: attributes,
+						implied: implied,
+						location: location( loc && loc.startTag )
+					} );
+					// The contents of a <template> live in a separate fragment
+					HTML5Parser.walk( node.content ? node.content.childNodes : node.childNodes, handler, startTags );
+					if ( !Util.isVoidElement( name ) ) {
+						handler.onendtag( name, implied, location( loc && loc.endTag ) );
+					}
+				}
+			}
+		}
+	}
+}
+
+module.exports = HTML5Parser;
@@ -0,0 +1,133 @@
+/*
+ * Context-aware serialization of sanitized tokens and text back to HTML.
+ *
+ * The SAX parser hands us text and attribute values with character
+ * references already decoded, so everything we emit has to be escaped
+ * again for the context it ends up in. Never append decoded text to the
+ * output without going through one of these functions.
+ */
+
+'use strict';
+
+const WikitextConstants = require( './config/WikitextConstants' );
+
+const textEscapes = {
+	'&': '&amp;',
+	'<': '&lt;',
+	'>': '&gt;'
+};
+
+const attributeEscapes = {
+	'&': '&amp;',
+	'"': '&quot;',
+	'\'': '&#39;',
+	'<': '&lt;',
+	'>': '&gt;'
+};
+
+class HTMLSerializer {
+
+	/**
+	 * Escape text for use as the content of a normal (or escapable raw text)
+	 * element.
+	 *
+	 * @param {string} text Decoded text
+	 * @return {string}
+	 */
+	static escapeText( text ) {
+		return text.replace( /[&<>]/g, function ( c ) {
+			return textEscapes[ c ];
+		} );
+	}
+
+	/**
+	 * Escape an attribute value for use inside a double-quoted attribute.
+	 *
+	 * @param {string} value Decoded attribute value
+	 * @return {string}
+	 */
+	static escapeAttribute( value ) {
+		return String( value ).replace( /[&"'<>]/g, function ( c ) {
+			return attributeEscapes[ c ];
+		} );
+	}
+
+	/**
+	 * Make text safe as the content of a raw text element such as `<style>`.
+	 * Character references are not decoded in these elements, so the only
+	 * thing that can break out of them is their own end tag. Any `</name`
+	 * sequence is broken up with a backslash, which is a harmless escape in
+	 * both CSS and JavaScript.
+	 *
+	 * @param {string} text
+	 * @param {string} tagName Name of the enclosing raw text element
+	 * @return {string}
+	 */
+	static escapeRawText( text, tagName ) {
+		let re = new RegExp( '<(/' + tagName + ')', 'gi' );
+		return text.replace( re, '<\\$1' ).replace( /<!--/g, '<\\!--' );
+	}
+
+	/**
+	 * Whether the content of the named element is raw text.
+	 *
+	 * @param {string} tagName
+	 * @return {boolean}
+	 */
+	static isRawTextElement( tagName ) {
+		return WikitextConstants.HTML.RawTextTags.has( tagName.toUpperCase() );
+	}
+
+	/**
+	 * Serialize text in the context of the given parent element.
+	 *
+	 * @param {string} text Decoded text
+	 * @param {string|null} parentName Name of the enclosing element, if any
+	 * @return {string}
+	 */
+	static serializeText( text, parentName ) {
+		if ( parentName && HTMLSerializer.isRawTextElement( parentName ) ) {
+			return HTMLSerializer.escapeRawText( text, parentName );
+		}
+		return HTMLSerializer.escapeText( text );
+	}
+
+	/**
+	 * @param {KV[]} attribs
+	 * @return {string}
+	 */
+	static serializeAttributes( attribs ) {
+		let buf = '';
+		for ( let i = 0, n = attribs.length; i < n; i++ ) {
+			let a = attribs[ i ];
+			buf += ' ' + a.k + '="' + HTMLSerializer.escapeAttribute( a.v ) + '"';
+		}
+		return buf;
+	}
+
+	/**
+	 * Serialize the result of `TokenSanitizer.sanitizeToken`. A plain string
+	 * result is a disallowed tag that was converted to text, so it is
+	 * escaped like any other text.
+	 *
+	 * @param {Token|string} token
+	 * @return {string}
+	 */
+	static serializeToken( token ) {
+		if ( typeof token === 'string' ) {
+			return HTMLSerializer.escapeText( token );
+		}
+		switch ( token.constructor.name ) {
+			case 'TagTk':
+				return '<' + token.name + HTMLSerializer.serializeAttributes( token.attribs ) + '>';
+			case 'SelfclosingTagTk':
+				return '<' + token.name + HTMLSerializer.serializeAttributes( token.attribs ) + ' />';
+			case 'EndTagTk':
+				return '</' + token.name + '>';
+			default:
+				return token.toHtml();
+		}
+	}
+}
+
+module.exports = HTMLSerializer;
@@ -0,0 +1,138 @@
+/*
+ * Decides which hosts URL attributes may point at, eg. that `img src`
+ * may only load from our own upload domains.
+ *
+ * This runs on the host of the URL as normalized by cleanUrl, so it is
+ * lowercase, in punycode, and IPv4 addresses are in dotted decimal
+ * whatever way they were written. URLs without a host (relative URLs)
+ * are always allowed.
+ *
+ * Domain lists hold host names, or `*.example.org` for every subdomain of
+ * example.org (but not example.org itself). In the blocked list, a host
+ * name also stands for its subdomains, so that blocking `evil.example`
+ * blocks `a.evil.example` too.
+ */
+
+'use strict';
+
+const domainToASCII = require( 'url' ).domainToASCII;
+
+const domainRE = /^[a-z0-9-]+(?:\.[a-z0-9-]+)*$/;
+const ruleRE = /^(\*|[a-z][a-z0-9-]*) ([a-z][a-z0-9-]*)$/;
+
+/**
+ * @param {string[]} list Domains, see above
+ * @return {string[]} The domains in ASCII
+ */
+function compileDomains( list ) {
+	if ( !Array.isArray( list ) ) {
+		throw new Error( 'Invalid domain list: ' + list );
+	}
+	return Object.freeze( list.map( function ( domain ) {
+		let wildcard = typeof domain === 'string' && /^\*\./.test( domain );
+		let ascii = typeof domain === 'string' && domainToASCII( wildcard ? domain.slice( 2 ) : domain );
+		if ( !ascii || !domainRE.test( ascii ) ) {
+			throw new Error( 'Invalid domain: ' + domain );
+		}
+		return ( wildcard ? '*.' : '' ) + ascii;
+	} ) );
+}
+
+/**
+ * @param {string} host
+ * @param {string[]} domains Result of compileDomains
+ * @param {boolean} [subdomains] Whether host names match their
+ *  subdomains too
+ * @return {boolean}
+ */
+function matchesDomain( host, domains, subdomains ) {
+	host = host.toLowerCase().replace( /\.$/, '' );
+	return domains.some( function ( domain ) {
+		if ( /^\*\./.test( domain ) ) {
+			return host.endsWith( domain.slice( 1 ) );
+		}
+		return host === domain || ( !!subdomains && host.endsWith( '.' + domain ) );
+	} );
+}
+
+function isIPLiteral( host ) {
+	return /^\[.*\]$/.test( host ) || /^\d+\.\d+\.\d+\.\d+$/.test( host );
+}
+
+class HostPolicy {
+	/**
+	 * @param {Object} [options]
+	 * @param {Object} [options.allowed] Map from `tag attribute` (eg.
+	 *  `img src`, or `* href` for every tag) to the domains that
+	 *  attribute may point at. Attributes without an entry may point
+	 *  anywhere.
+	 * @param {string[]} [options.blocked] Domains no attribute may point
+	 *  at, along with their subdomains
+	 * @param {boolean} [options.ipLiterals=true] Whether hosts may be IP
+	 *  addresses
+	 */
+	constructor( options ) {
+		options = Object.assign( {}, HostPolicy.defaults, options );
+		let allowed = options.allowed;
+		if ( !allowed || typeof allowed !== 'object' || Array.isArray( allowed ) ) {
+			throw new Error( 'Invalid host rules: ' + allowed );
+		}
+		this.allowed = Object.freeze( Object.keys( allowed ).reduce( function ( rules, key ) {
+			let rule = key.toLowerCase().trim().replace( /\s+/g, ' ' );
+			if ( !ruleRE.test( rule ) ) {
+				throw new Error( 'Invalid host rule: ' + key );
+			}
+			rules[ rule ] = compileDomains( allowed[ key ] );
+			return rules;
+		}, {} ) );
+		this.blocked = compileDomains( options.blocked );
+		this.ipLiterals = !!options.ipLiterals;
+		Object.freeze( this );
+	}
+
+	/**
+	 * @return {Object} Copies of the allowed domains by `tag attribute`
+	 *  rule and of the blocked ones, and whether IP addresses may be
+	 *  hosts: the HostPolicy options for the same checks
+	 */
+	toOptions() {
+		let allowed = {};
+		Object.keys( this.allowed ).forEach( function ( rule ) {
+			allowed[ rule ] = this.allowed[ rule ].slice();
+		}, this );
+		return {
+			allowed: allowed,
+			blocked: this.blocked.slice(),
+			ipLiterals: this.ipLiterals
+		};
+	}
+
+	/**
+	 * @param {string} tag Lowercase tag name
+	 * @param {string} attribute Lowercase attribute name
+	 * @param {string|null} host Normalized host of the URL, or null if it
+	 *  has none
+	 * @return {boolean}
+	 */
+	allows( tag, attribute, host ) {
+		if ( !host ) {
+			return true;
+		}
+		if ( ( !this.ipLiterals && isIPLiteral( host ) ) || matchesDomain( host, this.blocked, true ) ) {
+			return false;
+		}
+		let allowed = this.allowed[ tag + ' ' + attribute ] || this.allowed[ '* ' + attribute ];
+		return !allowed || matchesDomain( host, allowed );
+	}
+}
+
+HostPolicy.defaults = Object.freeze( {
+	allowed: Object.freeze( {} ),
+	blocked: Object.freeze( [] ),
+	ipLiterals: true
+} );
+
+HostPolicy.compileDomains = compileDomains;
+HostPolicy.matchesDomain = matchesDomain;
+
+module.exports = HostPolicy;
@@ -0,0 +1,278 @@
+/*
+ * Catches internationalized host names that pass themselves off as
+ * others, like `pаypal.com` with a Cyrillic а, using the restriction
+ * levels of UTS #39 (https://www.unicode.org/reports/tr39/#Restriction_Level_Detection)
+ * on each label, and the confusables data of UTS #39 to catch labels that
+ * look like ASCII ones without mixing scripts, like Cyrillic `аррӏе.com`
+ * or `ɡoogle.com` with a Latin small script g.
+ *
+ * cleanUrl writes every host in punycode. With this policy, hosts that
+ * pass are written in Unicode, the way browsers display them, and the
+ * others are, depending on the action:
+ * - 'reject': dropped along with the URL
+ * - 'punycode': left in punycode, so that readers see what they are
+ * - 'flag': written in Unicode, but reported
+ */
+
+'use strict';
+
+const domainToUnicode = require( 'url' ).domainToUnicode;
+const Confusables = require( './config/Confusables' );
+const UnicodeScripts = require( './config/UnicodeScripts' );
+
+const actions = [ 'reject', 'punycode', 'flag' ];
+
+// From the most restrictive to the least
+const levels = [
+	'ascii', 'single-script', 'highly-restrictive', 'moderately-restrictive', 'minimally-restrictive'
+];
+
+// The scripts recommended for identifiers, UAX #31 table 5
+const recommended = [
+	'Arabic', 'Armenian', 'Bengali', 'Bopomofo', 'Cyrillic', 'Devanagari', 'Ethiopic',
+	'Georgian', 'Greek', 'Gujarati', 'Gurmukhi', 'Han', 'Hangul', 'Hebrew', 'Hiragana',
+	'Kannada', 'Katakana', 'Khmer', 'Lao', 'Latin', 'Malayalam', 'Myanmar', 'Oriya',
+	'Sinhala', 'Tamil', 'Telugu', 'Thaana', 'Thai', 'Tibetan'
+];
+
+const highlyRestrictive = [
+	[ 'Latin', 'Han', 'Hiragana', 'Katakana' ],
+	[ 'Latin', 'Han', 'Bopomofo' ],
+	[ 'Latin', 'Han', 'Hangul' ]
+];
+
+const moderatelyRestrictive = highlyRestrictive.concat( recommended.filter( function ( script ) {
+	return [ 'Latin', 'Cyrillic', 'Greek' ].indexOf( script ) === -1;
+} ).map( function ( script ) {
+	return [ 'Latin', script ];
+} ) );
+
+// eslint-disable-next-line no-control-regex
+const asciiRE = /^[\x00-\x7f]*$/;
+
+// Script name -> sorted [ first, last ] code point ranges, built on first use
+let scriptRanges = null;
+
+// Code point -> the prototype of the character, built on first use
+let prototypes = null;
+
+function getScriptRanges() {
+	if ( !scriptRanges ) {
+		scriptRanges = {};
+		Object.keys( UnicodeScripts ).forEach( function ( script ) {
+			scriptRanges[ script ] = UnicodeScripts[ script ].split( ' ' ).map( function ( range ) {
+				let ends = range.split( '-' );
+				return [ parseInt( ends[ 0 ], 16 ), parseInt( ends[ ends.length - 1 ], 16 ) ];
+			} );
+		} );
+	}
+	return scriptRanges;
+}
+
+function getPrototypes() {
+	if ( !prototypes ) {
+		prototypes = new Map();
+		Object.keys( Confusables ).forEach( function ( prototype ) {
+			let chars = String.fromCodePoint.apply( String, prototype.split( ' ' ).map( function ( cp ) {
+				return parseInt( cp, 16 );
+			} ) );
+			Confusables[ prototype ].split( ' ' ).forEach( function ( cp ) {
+				prototypes.set( parseInt( cp, 16 ), chars );
+			} );
+		} );
+	}
+	return prototypes;
+}
+
+/**
+ * @param {string} str
+ * @return {string} Its skeleton, as UTS #39 defines it: strings that look
+ *  alike have the same one
+ */
+function skeleton( str ) {
+	let map = getPrototypes();
+	return Array.from( str.normalize( 'NFD' ) ).map( function ( c ) {
+		return map.get( c.codePointAt( 0 ) ) || c;
+	} ).join( '' ).normalize( 'NFD' );
+}
+
+function inRanges( ranges, cp ) {
+	let lo = 0;
+	let hi = ranges.length - 1;
+	while ( lo <= hi ) {
+		let mid = Math.floor( ( lo + hi ) / 2 );
+		if ( cp < ranges[ mid ][ 0 ] ) {
+			hi = mid - 1;
+		} else if ( cp > ranges[ mid ][ 1 ] ) {
+			lo = mid + 1;
+		} else {
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * @param {string} c A character
+ * @return {string[]|null} Its Script_Extensions, or null for characters
+ *  that go with any script (Common and Inherited)
+ */
+function scriptsOf( c ) {
+	let cp = c.codePointAt( 0 );
+	let ranges = getScriptRanges();
+	let scripts = Object.keys( ranges ).filter( function ( script ) {
+		return inRanges( ranges[ script ], cp );
+	} );
+	if ( scripts.length === 1 && ( scripts[ 0 ] === 'Common' || scripts[ 0 ] === 'Inherited' ) ) {
+		return null;
+	}
+	return scripts.length ? scripts : [ 'Unknown' ];
+}
+
+/**
+ * @param {Array[]} sets Script sets of characters
+ * @param {string[]} scripts
+ * @return {boolean} Whether each character is in one of the scripts
+ */
+function coveredBy( sets, scripts ) {
+	return sets.every( function ( set ) {
+		return set.some( function ( script ) {
+			return scripts.indexOf( script ) !== -1;
+		} );
+	} );
+}
+
+/**
+ * @param {string} label
+ * @return {string[]|null} The scripts all characters of the label share
+ *  (empty if there are none), or null if any script will do
+ */
+function resolvedScripts( label ) {
+	return Array.from( label ).map( scriptsOf ).reduce( function ( resolved, set ) {
+		if ( set === null ) {
+			return resolved;
+		}
+		return resolved === null ? set : resolved.filter( function ( script ) {
+			return set.indexOf( script ) !== -1;
+		} );
+	}, null );
+}
+
+/**
+ * @param {string} label A host label, in Unicode
+ * @return {string} Its restriction level, one of IdnPolicy.levels
+ */
+function restrictionLevel( label ) {
+	if ( asciiRE.test( label ) ) {
+		return 'ascii';
+	}
+	let resolved = resolvedScripts( label );
+	if ( resolved === null || resolved.length ) {
+		return 'single-script';
+	}
+	let sets = Array.from( label ).map( scriptsOf ).filter( Boolean );
+	let covered = function ( scripts ) {
+		return coveredBy( sets, scripts );
+	};
+	if ( highlyRestrictive.some( covered ) ) {
+		return 'highly-restrictive';
+	} else if ( moderatelyRestrictive.some( covered ) ) {
+		return 'moderately-restrictive';
+	}
+	return 'minimally-restrictive';
+}
+
+/**
+ * @param {string} label A host label, in Unicode
+ * @param {string} tld The last label of the host
+ * @return {boolean} Whether the label has the skeleton of an ASCII one,
+ *  unless it is in the script of the TLD (other than Latin), like
+ *  Cyrillic labels under `.рф`
+ */
+function isAsciiConfusable( label, tld ) {
+	if ( asciiRE.test( label ) || !asciiRE.test( skeleton( label ) ) ) {
+		return false;
+	}
+	let tldScripts = resolvedScripts( tld ) || [];
+	return !( resolvedScripts( label ) || [] ).some( function ( script ) {
+		return script !== 'Latin' && tldScripts.indexOf( script ) !== -1;
+	} );
+}
+
+class IdnPolicy {
+	/**
+	 * @param {Object} [options]
+	 * @param {string|null} [options.action] What to do with suspicious
+	 *  hosts, see above. Null turns the policy off.
+	 * @param {string} [options.level] The least restrictive level labels
+	 *  may have, one of IdnPolicy.levels
+	 * @param {boolean} [options.confusables=true] Whether labels that
+	 *  look like ASCII ones, by their skeleton, are suspicious
+	 */
+	constructor( options ) {
+		options = Object.assign( {}, IdnPolicy.defaults, options );
+		if ( options.action !== null && actions.indexOf( options.action ) === -1 ) {
+			throw new Error( 'Invalid IDN action: ' + options.action );
+		}
+		if ( levels.indexOf( options.level ) === -1 ) {
+			throw new Error( 'Invalid restriction level: ' + options.level );
+		}
+		this.action = options.action;
+		this.level = options.level;
+		this.confusables = !!options.confusables;
+		Object.freeze( this );
+	}
+
+	/**
+	 * @return {Object} What is done with suspicious hosts, the least
+	 *  restrictive level labels may have and whether their skeletons are
+	 *  checked, as IdnPolicy options
+	 */
+	toOptions() {
+		return {
+			action: this.action,
+			level: this.level,
+			confusables: this.confusables
+		};
+	}
+
+	/**
+	 * @param {string} host Host of a cleaned URL, in punycode
+	 * @return {Object} `{ unicode, suspicious }`, where unicode is the host
+	 *  as browsers display it
+	 */
+	check( host ) {
+		if ( !/(?:^|\.)xn--/i.test( host ) ) {
+			return { unicode: host, suspicious: false };
+		}
+		let unicode = domainToUnicode( host );
+		if ( !unicode ) {
+			// Not valid punycode
+			return { unicode: host, suspicious: true };
+		}
+		let labels = unicode.replace( /\.$/, '' ).split( '.' );
+		let tld = labels[ labels.length - 1 ];
+		let maxLevel = levels.indexOf( this.level );
+		let suspicious = labels.some( function ( label ) {
+			return levels.indexOf( restrictionLevel( label ) ) > maxLevel ||
+				( this.confusables && isAsciiConfusable( label, tld ) );
+		}, this );
+		return { unicode: unicode, suspicious: suspicious };
+	}
+}
+
+IdnPolicy.levels = Object.freeze( levels );
+
+/**
+ * By default hosts are left in punycode, unchecked.
+ */
+IdnPolicy.defaults = Object.freeze( {
+	action: null,
+	level: 'moderately-restrictive',
+	confusables: true
+} );
+
+IdnPolicy.restrictionLevel = restrictionLevel;
+IdnPolicy.skeleton = skeleton;
+
+module.exports = IdnPolicy;
@@ -0,0 +1,149 @@
+/*
+ * Decorates external links the way MediaWiki does: `rel` tokens like
+ * nofollow, classes like `external`, and optionally a target.
+ *
+ * Links are external when cleanUrl handled their href as external (ie.
+ * they are not wikilinks) and it points at a host that is not one of
+ * the configured internal domains. Relative URLs are never external.
+ *
+ * Whatever the options, any link that opens in another browsing context,
+ * external or not, gets `noopener noreferrer`, so that the page it opens
+ * can't navigate ours.
+ */
+
+'use strict';
+
+const HostPolicy = require( './HostPolicy' );
+
+// rel tokens, class names and targets
+const tokenRE = /^[^\s]+$/;
+
+function split( value ) {
+	return value ? value.split( /\s+/ ).filter( Boolean ) : [];
+}
+
+function checkList( list, re, what ) {
+	if ( !Array.isArray( list ) ) {
+		throw new Error( 'Invalid ' + what + ' list: ' + list );
+	}
+	return Object.freeze( list.map( function ( item ) {
+		if ( typeof item !== 'string' || !re.test( item ) ) {
+			throw new Error( 'Invalid ' + what + ': ' + item );
+		}
+		return item;
+	} ) );
+}
+
+class LinkPolicy {
+	/**
+	 * @param {Object} [options]
+	 * @param {string[]} [options.rel] rel tokens to add to external links
+	 * @param {string[]} [options.stripRel] rel tokens to remove from them
+	 * @param {string[]} [options.classes] Classes to add to them
+	 * @param {string|null} [options.target] Target for external links that
+	 *  don't have one
+	 * @param {string[]} [options.internalDomains] Hosts whose links are not
+	 *  external, see HostPolicy
+	 */
+	constructor( options ) {
+		options = Object.assign( {}, LinkPolicy.defaults, options );
+		this.rel = checkList( options.rel, tokenRE, 'rel token' );
+		this.stripRel = Object.freeze( checkList( options.stripRel, tokenRE, 'rel token' ).map( function ( token ) {
+			return token.toLowerCase();
+		} ) );
+		this.classes = checkList( options.classes, tokenRE, 'class' );
+		if ( options.target !== null && ( typeof options.target !== 'string' || !tokenRE.test( options.target ) ) ) {
+			throw new Error( 'Invalid link target: ' + options.target );
+		}
+		this.target = options.target;
+		this.internalDomains = HostPolicy.compileDomains( options.internalDomains );
+		Object.freeze( this );
+	}
+
+	/**
+	 * @return {Object} The rel tokens it adds and strips, the classes and
+	 *  target it sets and the domains it counts as internal, as options
+	 *  for an equal LinkPolicy
+	 */
+	toOptions() {
+		return {
+			rel: this.rel.slice(),
+			stripRel: this.stripRel.slice(),
+			classes: this.classes.slice(),
+			target: this.target,
+			internalDomains: this.internalDomains.slice()
+		};
+	}
+
+	/**
+	 * @param {string|null} host Host of a link, already in ASCII
+	 * @return {boolean} Whether links to the host are external
+	 */
+	isExternal( host ) {
+		return !!host && !HostPolicy.matchesDomain( host, this.internalDomains );
+	}
+
+	/**
+	 * @param {Object} attrs The current `rel`, `class` and `target` of a
+	 *  link, each null if not set
+	 * @param {string|null} host Host of the link
+	 * @return {Object} The attributes to change, with their new values;
+	 *  null removes an attribute
+	 */
+	decorate( attrs, host ) {
+		let changes = {};
+		let external = this.isExternal( host );
+		let stripRel = external ? this.stripRel : [];
+		let rel = split( attrs.rel ).filter( function ( token ) {
+			return stripRel.indexOf( token.toLowerCase() ) === -1;
+		} );
+		let target = attrs.target || ( external ? this.target : null );
+		let add = external ? this.rel.slice() : [];
+		if ( target && target.toLowerCase() !== '_self' ) {
+			add.push( 'noopener', 'noreferrer' );
+		}
+		add.forEach( function ( token ) {
+			if ( !rel.some( function ( t ) {
+				return t.toLowerCase() === token.toLowerCase();
+			} ) ) {
+				rel.push( token );
+			}
+		} );
+		let classes = split( attrs.class );
+		( external ? this.classes : [] ).forEach( function ( name ) {
+			if ( classes.indexOf( name ) === -1 ) {
+				classes.push( name );
+			}
+		} );
+
+		let values = {
+			rel: rel.join( ' ' ) || null,
+			'class': classes.join( ' ' ) || null,
+			target: target || null
+		};
+		let current = {
+			rel: split( attrs.rel ).join( ' ' ) || null,
+			'class': split( attrs.class ).join( ' ' ) || null,
+			target: attrs.target || null
+		};
+		Object.keys( values ).forEach( function ( name ) {
+			if ( values[ name ] !== current[ name ] ) {
+				changes[ name ] = values[ name ];
+			}
+		} );
+		return changes;
+	}
+}
+
+/**
+ * By default links are left alone, but for noopener.
+ */
+LinkPolicy.defaults = Object.freeze( {
+	rel: Object.freeze( [] ),
+	stripRel: Object.freeze( [] ),
+	classes: Object.freeze( [] ),
+	target: null,
+	internalDomains: Object.freeze( [] )
+} );
+
+module.exports = LinkPolicy;
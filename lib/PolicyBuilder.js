@@ -0,0 +1,250 @@
+/*
+ * Builds a SanitizerPolicy by extending or restricting an existing one.
+ *
+ *     let policy = new PolicyBuilder()
+ *         .allowTags( [ 'figure' ] )
+ *         .allowAttributes( 'figure', [ 'typeof' ] )
+ *         .allowGlobalAttributes( [ 'aria-*' ] )
+ *         .denyTags( [ 'font' ] )
+ *         .build();
+ *
+ * Tag and attribute names are case-insensitive. An attribute name ending
+ * in `*` is a pattern which allows every attribute starting with what
+ * comes before it; denying a name that a pattern matches keeps that one
+ * attribute out.
+ *
+ * Event handler attributes (`on*`) can't be allowed, not even through a
+ * pattern like `o*`, and neither can the attributes in `unsafeAttrs`,
+ * `data-ooui*` (T105413) or the tags in `unsafeTags`.
+ */
+
+'use strict';
+
+const SanitizerPolicy = require( './SanitizerPolicy' );
+
+const tagNameRE = /^[a-z][a-z0-9-]*$/;
+const attrNameRE = /^[a-z_:][a-z0-9_:.-]*\*?$/;
+
+// Tags that run or embed active content, or change how the rest of the
+// page is loaded. Style elements have the styleElements option instead.
+const unsafeTags = new Set( [
+	'applet', 'base', 'embed', 'form', 'frame', 'frameset', 'iframe',
+	'noscript', 'object', 'script', 'style', 'template'
+] );
+
+// Attributes taking URLs or markup that sanitizeTagAttrs doesn't clean
+// (it only cleans href, src, poster, cite and srcset), and prefixes of
+// the event handler and OOUI (T105413) attributes
+const unsafeAttrs = [
+	'action', 'archive', 'background', 'classid', 'codebase', 'data',
+	'data-ooui', 'dynsrc', 'formaction', 'longdesc', 'lowsrc', 'manifest',
+	'on', 'ping', 'srcdoc', 'xlink:href'
+];
+
+function checkNames( names, re, what ) {
+	if ( typeof names === 'string' ) {
+		names = [ names ];
+	}
+	if ( !Array.isArray( names ) ) {
+		throw new Error( 'Invalid ' + what + ' list: ' + names );
+	}
+	return names.map( function ( name ) {
+		let lName = typeof name === 'string' ? name.toLowerCase() : name;
+		if ( !re.test( lName ) ) {
+			throw new Error( 'Invalid ' + what + ' name: ' + name );
+		}
+		return lName;
+	} );
+}
+
+function checkAllowedTags( tags ) {
+	return checkNames( tags, tagNameRE, 'tag' ).map( function ( tag ) {
+		if ( unsafeTags.has( tag ) ) {
+			throw new Error( 'Invalid tag name: ' + tag );
+		}
+		return tag;
+	} );
+}
+
+function checkAllowedAttrs( attrs ) {
+	return checkNames( attrs, attrNameRE, 'attribute' ).map( function ( attr ) {
+		let prefix = attr.replace( /\*$/, '' );
+		let unsafe = unsafeAttrs.some( function ( name ) {
+			if ( name === 'data-ooui' ) {
+				// Patterns like `data-*` skip these by themselves
+				return prefix.startsWith( name );
+			}
+			// `on` stands for every event handler
+			return ( name === 'on' ? prefix.startsWith( name ) : prefix === name ) ||
+				( prefix !== attr && name.startsWith( prefix ) );
+		} );
+		if ( unsafe ) {
+			throw new Error( 'Invalid attribute name: ' + attr );
+		}
+		return attr;
+	} );
+}
+
+function entry( map, tag ) {
+	if ( !map.has( tag ) ) {
+		map.set( tag, new Set() );
+	}
+	return map.get( tag );
+}
+
+class PolicyBuilder {
+	/**
+	 * @param {SanitizerPolicy|Object} [base] Policy to start from, or the
+	 *  options to compile one from. Defaults to the wikitext policy.
+	 */
+	constructor( base ) {
+		if ( !( base instanceof SanitizerPolicy ) ) {
+			base = new SanitizerPolicy( base || {} );
+		}
+		this.flags = {
+			allowRdfaAttrs: base.allowRdfaAttrs,
+			allowMicrodataAttrs: base.allowMicrodataAttrs,
+			html5Mode: base.html5Mode,
+			cssProperties: Array.from( base.css.properties ),
+			cssLayout: base.css.layout.toOptions(),
+			cssUrls: base.css.urls.toOptions(),
+			hosts: base.hosts.toOptions(),
+			idn: base.idn.toOptions(),
+			links: base.links.toOptions()
+		};
+		this.tags = new Set( Array.from( base.tagWhiteList ).map( function ( name ) {
+			return name.toLowerCase();
+		} ) );
+		// Tag name -> Set of allowed attribute names and patterns
+		this.attributes = new Map();
+		// Tag name -> Set of attribute names kept out of the patterns
+		this.denied = new Map();
+		base.attrWhiteList.forEach( function ( list, tag ) {
+			this.attributes.set( tag, new Set( Array.from( list ).concat( list.patterns ) ) );
+			this.denied.set( tag, new Set( list.denied ) );
+		}, this );
+		this.globalAttributes = new Set();
+		this.deniedGlobalAttributes = new Set();
+	}
+
+	/**
+	 * @param {string[]} tags
+	 * @return {PolicyBuilder}
+	 */
+	allowTags( tags ) {
+		checkAllowedTags( tags ).forEach( function ( tag ) {
+			this.tags.add( tag );
+		}, this );
+		return this;
+	}
+
+	/**
+	 * @param {string[]} tags
+	 * @return {PolicyBuilder}
+	 */
+	denyTags( tags ) {
+		checkNames( tags, tagNameRE, 'tag' ).forEach( function ( tag ) {
+			this.tags.delete( tag );
+		}, this );
+		return this;
+	}
+
+	/**
+	 * @param {string} tag
+	 * @param {string[]} attrs Attribute names or patterns
+	 * @return {PolicyBuilder}
+	 */
+	allowAttributes( tag, attrs ) {
+		tag = checkNames( tag, tagNameRE, 'tag' )[ 0 ];
+		let allowed = entry( this.attributes, tag );
+		let denied = entry( this.denied, tag );
+		checkAllowedAttrs( attrs ).forEach( function ( attr ) {
+			allowed.add( attr );
+			denied.delete( attr );
+		} );
+		return this;
+	}
+
+	/**
+	 * @param {string} tag
+	 * @param {string[]} attrs Attribute names or patterns
+	 * @return {PolicyBuilder}
+	 */
+	denyAttributes( tag, attrs ) {
+		tag = checkNames( tag, tagNameRE, 'tag' )[ 0 ];
+		let allowed = entry( this.attributes, tag );
+		let denied = entry( this.denied, tag );
+		checkNames( attrs, attrNameRE, 'attribute' ).forEach( function ( attr ) {
+			allowed.delete( attr );
+			if ( !/\*$/.test( attr ) ) {
+				denied.add( attr );
+			}
+		} );
+		return this;
+	}
+
+	/**
+	 * Allow attributes on every tag, including tags allowed later.
+	 *
+	 * @param {string[]} attrs Attribute names or patterns
+	 * @return {PolicyBuilder}
+	 */
+	allowGlobalAttributes( attrs ) {
+		checkAllowedAttrs( attrs ).forEach( function ( attr ) {
+			this.globalAttributes.add( attr );
+			this.deniedGlobalAttributes.delete( attr );
+		}, this );
+		return this;
+	}
+
+	/**
+	 * Deny attributes on every tag, including tags allowed later.
+	 *
+	 * @param {string[]} attrs Attribute names or patterns
+	 * @return {PolicyBuilder}
+	 */
+	denyGlobalAttributes( attrs ) {
+		checkNames( attrs, attrNameRE, 'attribute' ).forEach( function ( attr ) {
+			this.globalAttributes.delete( attr );
+			this.deniedGlobalAttributes.add( attr );
+		}, this );
+		return this;
+	}
+
+	/**
+	 * @return {SanitizerPolicy}
+	 */
+	build() {
+		let attributes = {};
+		let deniedAttributes = {};
+		// Keep the lists of tags that are not allowed themselves, since
+		// sanitizeTagAttrs can be asked about them explicitly (eg. <a>)
+		let tags = new Set( Array.from( this.tags ).concat( Array.from( this.attributes.keys() ) ) );
+		tags.forEach( function ( tag ) {
+			let allowed = new Set( this.attributes.get( tag ) );
+			let denied = new Set( this.denied.get( tag ) );
+			this.globalAttributes.forEach( function ( attr ) {
+				allowed.add( attr );
+			} );
+			// Denying an attribute on a tag beats allowing it everywhere
+			denied.forEach( function ( attr ) {
+				allowed.delete( attr );
+			} );
+			this.deniedGlobalAttributes.forEach( function ( attr ) {
+				allowed.delete( attr );
+				if ( !/\*$/.test( attr ) ) {
+					denied.add( attr );
+				}
+			} );
+			attributes[ tag ] = Array.from( allowed );
+			deniedAttributes[ tag ] = Array.from( denied );
+		}, this );
+		return new SanitizerPolicy( Object.assign( {}, this.flags, {
+			tags: Array.from( this.tags ),
+			attributes: attributes,
+			deniedAttributes: deniedAttributes
+		} ) );
+	}
+}
+
+module.exports = PolicyBuilder;
@@ -0,0 +1,101 @@
+/*
+ * Named sanitizer policies for the kinds of HTML we get asked to sanitize.
+ *
+ * - wikitext: what the PHP sanitizer allows as HTML tags in wikitext
+ * - parsoid: Parsoid HTML, which adds links, media, figures and the
+ *   <link>/<meta> elements carrying `mw:` typeofs
+ * - cx: content translation segments, ie. Parsoid HTML plus the section
+ *   and segment markup added by CX (its `data-*` attributes only need
+ *   html5Mode) and the references it translates
+ * - inline: inline formatting only, eg. for edit summaries
+ *
+ * Each preset takes SanitizerPolicy options, which override the defaults
+ * of the preset. All but the inline preset use the default CSSLayoutRules.
+ */
+
+'use strict';
+
+const PolicyBuilder = require( './PolicyBuilder' );
+const SanitizerPolicy = require( './SanitizerPolicy' );
+
+const mediaAttrs = [ 'poster', 'controls', 'preload', 'width', 'height', 'resource' ];
+
+const presets = {
+	wikitext: function ( options ) {
+		return new SanitizerPolicy( options );
+	},
+
+	parsoid: function ( options ) {
+		return new PolicyBuilder( options )
+			.allowTags( [
+				'a', 'img', 'figure', 'figure-inline', 'figcaption', 'link',
+				'meta', 'section', 'audio', 'video', 'source', 'track', 'thead',
+				'tbody', 'tfoot'
+			] )
+			.allowAttributes( 'a', [ 'href', 'rel', 'rev', 'title' ] )
+			.allowAttributes( 'img', [ 'resource' ] )
+			.allowAttributes( 'section', [ 'id', 'class', 'lang', 'dir', 'title', 'about', 'typeof' ] )
+			.allowAttributes( 'audio', mediaAttrs )
+			.allowAttributes( 'video', mediaAttrs )
+			.allowAttributes( 'link', [ 'id', 'rel', 'href', 'about', 'property', 'typeof' ] )
+			.allowAttributes( 'meta', [ 'id', 'property', 'content', 'about', 'typeof' ] )
+			.build();
+	},
+
+	cx: function ( options ) {
+		let base = presets.parsoid( options );
+		return new PolicyBuilder( base )
+			.allowAttributes( 'section', [ 'rel' ] )
+			// Cite's reference markers, `rel="dc:references"`
+			.allowAttributes( 'sup', [ 'rel' ] )
+			.build();
+	},
+
+	inline: function ( options ) {
+		let tags = [
+			'abbr', 'b', 'bdi', 'bdo', 'big', 'br', 'cite', 'code', 'del', 'dfn',
+			'em', 'i', 'ins', 'kbd', 'mark', 'q', 's', 'samp', 'small', 'span',
+			'strike', 'strong', 'sub', 'sup', 'tt', 'u', 'var', 'wbr'
+		];
+		let base = new SanitizerPolicy( Object.assign( {
+			allowRdfaAttrs: false,
+			allowMicrodataAttrs: false,
+			html5Mode: false,
+			tags: tags,
+			// In case style gets allowed again
+			cssLayout: {
+				positions: [ 'static', 'relative' ],
+				maxZIndex: 0,
+				maxOffset: 0,
+				maxScale: 1
+			}
+		}, options ) );
+		// Nothing that can change the layout around the text
+		return new PolicyBuilder( base )
+			.denyGlobalAttributes( [ 'style', 'id' ] )
+			.build();
+	}
+};
+
+class PolicyPresets {
+	/**
+	 * @return {string[]} Names of the available presets
+	 */
+	static names() {
+		return Object.keys( presets );
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {Object} [options] SanitizerPolicy options
+	 * @return {SanitizerPolicy}
+	 */
+	static build( name, options ) {
+		if ( !presets.hasOwnProperty( name ) ) {
+			throw new Error( 'Invalid preset: ' + name );
+		}
+		return presets[ name ]( options || {} );
+	}
+}
+
+module.exports = PolicyPresets;
@@ -0,0 +1,173 @@
+/*
+ * Plugins let callers take part in the DOMSanitizer pipeline, so that
+ * site-specific rules (link rewriting, class filtering, ...) can live
+ * outside the core.
+ *
+ * A plugin is an object with any of these hooks, called with the
+ * DOMSanitizer as the last argument:
+ *
+ * - beforeTag( token ): a start or end tag token, before TokenSanitizer
+ *   sees it
+ * - onAttribute( tagName, name, value ): each attribute of a start tag,
+ *   after beforeTag
+ * - afterTag( token ): a start or end tag token that TokenSanitizer
+ *   accepted. What this returns is emitted as is, without being
+ *   sanitized again.
+ * - onText( text ): decoded text
+ * - onComment( comment ): comment text, before the comment policy is
+ *   applied
+ * - onEnd(): the end of the input; can return tokens (or strings for
+ *   text) to append after everything else
+ *
+ * A hook returns undefined to pass the value through (possibly after
+ * modifying it in place), null to drop it, or a replacement. Tag hooks
+ * can also return a string, which is emitted as text. Hooks run in the
+ * order the plugins were added; once a value is dropped or turned into
+ * text, later plugins don't see it.
+ */
+
+'use strict';
+
+const hookNames = [ 'beforeTag', 'onAttribute', 'afterTag', 'onText', 'onComment', 'onEnd' ];
+
+function isToken( value ) {
+	return value !== null && typeof value === 'object';
+}
+
+class SanitizerPlugins {
+	/**
+	 * @param {Object[]} [plugins]
+	 */
+	constructor( plugins ) {
+		this.plugins = [];
+		( plugins || [] ).forEach( this.add, this );
+	}
+
+	/**
+	 * @param {Object} plugin
+	 */
+	add( plugin ) {
+		if ( !plugin || typeof plugin !== 'object' ) {
+			throw new Error( 'Invalid plugin: ' + plugin );
+		}
+		hookNames.forEach( function ( name ) {
+			if ( plugin[ name ] !== undefined && typeof plugin[ name ] !== 'function' ) {
+				throw new Error( 'Invalid plugin hook: ' + name );
+			}
+		} );
+		this.plugins.push( plugin );
+	}
+
+	/**
+	 * Pass a value through one hook of every plugin.
+	 *
+	 * @param {string} name
+	 * @param {Mixed} value
+	 * @param {Function} isFinal Whether a value should not be passed on
+	 * @param {DOMSanitizer} sanitizer
+	 * @return {Mixed}
+	 */
+	run( name, value, isFinal, sanitizer ) {
+		for ( let i = 0; i < this.plugins.length && !isFinal( value ); i++ ) {
+			let plugin = this.plugins[ i ];
+			if ( plugin[ name ] ) {
+				let result = plugin[ name ]( value, sanitizer );
+				if ( result !== undefined ) {
+					value = result;
+				}
+			}
+		}
+		return value;
+	}
+
+	/**
+	 * @param {Token} token
+	 * @param {DOMSanitizer} sanitizer
+	 * @return {Token|string|null}
+	 */
+	beforeTag( token, sanitizer ) {
+		token = this.run( 'beforeTag', token, function ( value ) {
+			return !isToken( value );
+		}, sanitizer );
+		if ( isToken( token ) && token.constructor.name !== 'EndTagTk' ) {
+			this.filterAttributes( token, sanitizer );
+		}
+		return token;
+	}
+
+	/**
+	 * @param {Token} token
+	 * @param {DOMSanitizer} sanitizer
+	 */
+	filterAttributes( token, sanitizer ) {
+		let plugins = this.plugins.filter( function ( plugin ) {
+			return plugin.onAttribute;
+		} );
+		if ( !plugins.length ) {
+			return;
+		}
+		token.attribs = token.attribs.filter( function ( kv ) {
+			for ( let i = 0; i < plugins.length; i++ ) {
+				let result = plugins[ i ].onAttribute( token.name, kv.k, kv.v, sanitizer );
+				if ( result === null ) {
+					return false;
+				} else if ( result !== undefined ) {
+					kv.v = String( result );
+				}
+			}
+			return true;
+		} );
+	}
+
+	/**
+	 * @param {Token} token
+	 * @param {DOMSanitizer} sanitizer
+	 * @return {Token|string|null}
+	 */
+	afterTag( token, sanitizer ) {
+		return this.run( 'afterTag', token, function ( value ) {
+			return !isToken( value );
+		}, sanitizer );
+	}
+
+	/**
+	 * @param {string} text
+	 * @param {DOMSanitizer} sanitizer
+	 * @return {string|null}
+	 */
+	onText( text, sanitizer ) {
+		return this.run( 'onText', text, function ( value ) {
+			return value === null;
+		}, sanitizer );
+	}
+
+	/**
+	 * @param {string} comment
+	 * @param {DOMSanitizer} sanitizer
+	 * @return {string|null}
+	 */
+	onComment( comment, sanitizer ) {
+		return this.run( 'onComment', comment, function ( value ) {
+			return value === null;
+		}, sanitizer );
+	}
+
+	/**
+	 * @param {DOMSanitizer} sanitizer
+	 * @return {Array} Tokens and strings to append
+	 */
+	onEnd( sanitizer ) {
+		let out = [];
+		this.plugins.forEach( function ( plugin ) {
+			if ( plugin.onEnd ) {
+				let result = plugin.onEnd( sanitizer );
+				if ( result !== undefined && result !== null ) {
+					out = out.concat( result );
+				}
+			}
+		} );
+		return out;
+	}
+}
+
+module.exports = SanitizerPlugins;
@@ -0,0 +1,135 @@
+/*
+ * A compiled sanitizer policy: which tags are allowed, which attributes
+ * each of them may carry, which CSS properties style attributes may set,
+ * which hosts URL attributes may point at and how internationalized
+ * ones are checked, how external links are decorated, and the flags that
+ * affect attribute sanitization.
+ *
+ * Each DOMSanitizer owns one of these and passes it to TokenSanitizer as
+ * `conf.policy`, so sanitizers with different configurations can live in
+ * the same process. A policy is immutable once constructed.
+ */
+
+'use strict';
+
+const CSSSanitizer = require( './CSSSanitizer' );
+const HostPolicy = require( './HostPolicy' );
+const IdnPolicy = require( './IdnPolicy' );
+const JSUtils = require( './utils/jsutils' );
+const LinkPolicy = require( './LinkPolicy' );
+const TokenSanitizer = require( './TokenSanitizer' );
+const WikitextConstants = require( './config/WikitextConstants' );
+
+/**
+ * The attributes allowed on one tag. Besides exact names, this can hold
+ * patterns like `aria-*`, which allow any attribute with that prefix
+ * unless it is listed in `denied`. Patterns never match `data-ooui*`
+ * attributes, which OOUI infuses widgets from (T105413).
+ */
+class AttrWhiteList extends Set {
+	/**
+	 * @param {string[]} names Attribute names and patterns
+	 * @param {string[]} [denied] Names not matched by the patterns
+	 */
+	constructor( names, denied ) {
+		super( names.filter( function ( name ) {
+			return !/\*$/.test( name );
+		} ) );
+		this.patterns = Object.freeze( names.filter( function ( name ) {
+			return /\*$/.test( name );
+		} ) );
+		this.denied = JSUtils.freezeSet( denied || [] );
+	}
+
+	/**
+	 * @param {string} name Lowercase attribute name
+	 * @return {boolean}
+	 */
+	has( name ) {
+		if ( super.has( name ) ) {
+			return true;
+		}
+		return !this.denied.has( name ) && !name.startsWith( 'data-ooui' ) && this.patterns.some( function ( pattern ) {
+			return name.startsWith( pattern.slice( 0, -1 ) );
+		} );
+	}
+}
+
+const emptyList = JSUtils.freezeSet( new AttrWhiteList( [] ) );
+
+class SanitizerPolicy {
+	/**
+	 * @param {Object} [config]
+	 * @param {boolean} [config.allowRdfaAttrs=true]
+	 * @param {boolean} [config.allowMicrodataAttrs=true]
+	 * @param {boolean} [config.html5Mode=true] Allow `data-*` attributes
+	 * @param {string[]} [config.tags] Allowed tag names. Defaults to
+	 *  `WikitextConstants.Sanitizer.TagWhiteList`.
+	 * @param {Object} [config.attributes] Map from tag name to the list of
+	 *  attributes allowed on it. Defaults to the wikitext attribute
+	 *  whitelist for the flags above. Names ending in `*` allow any
+	 *  attribute starting with what comes before it.
+	 * @param {Object} [config.deniedAttributes] Map from tag name to
+	 *  attributes that the patterns for that tag should not match.
+	 * @param {string[]} [config.cssProperties] CSS properties allowed in
+	 *  style attributes. Defaults to every property CSSGrammar knows.
+	 * @param {Object} [config.cssLayout] CSSLayoutRules options for style
+	 *  attributes
+	 * @param {Object} [config.cssUrls] CSSUrlPolicy options, ie. where
+	 *  style attributes may load images from
+	 * @param {Object} [config.hosts] HostPolicy options, ie. which hosts
+	 *  href, src, poster, cite and srcset may point at
+	 * @param {Object} [config.idn] IdnPolicy options, ie. what to do with
+	 *  hosts that spoof others
+	 * @param {Object} [config.links] LinkPolicy options, ie. how external
+	 *  links are decorated
+	 */
+	constructor( config ) {
+		config = Object.assign( {}, TokenSanitizer.globalConfig, config );
+
+		this.allowRdfaAttrs = !!config.allowRdfaAttrs;
+		this.allowMicrodataAttrs = !!config.allowMicrodataAttrs;
+		this.html5Mode = !!config.html5Mode;
+
+		let tags = config.tags || Array.from( WikitextConstants.Sanitizer.TagWhiteList );
+		this.tagWhiteList = JSUtils.freezeSet( tags.map( function ( name ) {
+			return name.toUpperCase();
+		} ) );
+
+		let attributes = config.attributes || TokenSanitizer.computeAttrWhiteList( this );
+		let denied = config.deniedAttributes || {};
+		this.attrWhiteList = JSUtils.freezeMap( Object.keys( attributes ).map( function ( tag ) {
+			let list = new AttrWhiteList( attributes[ tag ], denied[ tag ] );
+			return [ tag.toLowerCase(), JSUtils.freezeSet( list ) ];
+		} ) );
+
+		this.css = new CSSSanitizer( {
+			properties: config.cssProperties,
+			layout: config.cssLayout,
+			urls: config.cssUrls
+		} );
+		this.hosts = new HostPolicy( config.hosts );
+		this.idn = new IdnPolicy( config.idn );
+		this.links = new LinkPolicy( config.links );
+
+		Object.freeze( this );
+	}
+
+	/**
+	 * @param {string} name
+	 * @return {boolean}
+	 */
+	allowsTag( name ) {
+		return this.tagWhiteList.has( name.toUpperCase() );
+	}
+
+	/**
+	 * @param {string} tag
+	 * @return {AttrWhiteList}
+	 */
+	getAttrWhiteList( tag ) {
+		return this.attrWhiteList.get( tag ) || emptyList;
+	}
+}
+
+module.exports = SanitizerPolicy;
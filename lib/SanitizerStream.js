@@ -0,0 +1,57 @@
+/*
+ * Streaming interface to the DOMSanitizer.
+ */
+
+'use strict';
+
+const Transform = require( 'stream' ).Transform;
+const StringDecoder = require( 'string_decoder' ).StringDecoder;
+
+/**
+ * A Transform stream which sanitizes the HTML written to it, pushing out
+ * sanitized output as soon as it is known to be safe.
+ *
+ * Create one with DOMSanitizer#createStream.
+ */
+class SanitizerStream extends Transform {
+	/**
+	 * @param {DOMSanitizer} sanitizer
+	 * @param {Object} [options] Options for the stream.Transform
+	 */
+	constructor( sanitizer, options ) {
+		super( options );
+		this.sanitizer = sanitizer;
+		this.decoder = new StringDecoder( 'utf8' );
+		sanitizer.begin();
+	}
+
+	_transform( chunk, encoding, callback ) {
+		let out;
+		try {
+			out = this.sanitizer.feed( typeof chunk === 'string' ? chunk : this.decoder.write( chunk ) );
+		} catch ( e ) {
+			callback( e );
+			return;
+		}
+		if ( out ) {
+			this.push( out );
+		}
+		callback();
+	}
+
+	_flush( callback ) {
+		let out;
+		try {
+			out = this.sanitizer.feed( this.decoder.end() ) + this.sanitizer.finish();
+		} catch ( e ) {
+			callback( e );
+			return;
+		}
+		if ( out ) {
+			this.push( out );
+		}
+		callback();
+	}
+}
+
+module.exports = SanitizerStream;
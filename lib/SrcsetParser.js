@@ -0,0 +1,142 @@
+/*
+ * Parses and serializes srcset attributes, following the HTML spec's
+ * "parse a srcset attribute",
+ * https://html.spec.whatwg.org/multipage/images.html#parse-a-srcset-attribute
+ *
+ * Candidates are `{ url, width, density, height }`, where the descriptors
+ * that were not given are null. Candidates with invalid descriptors are
+ * dropped, as browsers do.
+ */
+
+'use strict';
+
+const whitespace = /[\t\n\f\r ]/;
+
+/**
+ * Split the descriptors following a URL, which end at the first comma
+ * that is not within parentheses.
+ *
+ * @param {string} text
+ * @param {number} pos
+ * @return {Object} `{ descriptors, pos }`
+ */
+function tokenizeDescriptors( text, pos ) {
+	let descriptors = [];
+	let current = '';
+	let inParens = false;
+	for ( ; pos < text.length; pos++ ) {
+		let c = text[ pos ];
+		if ( inParens ) {
+			current += c;
+			inParens = c !== ')';
+		} else if ( whitespace.test( c ) ) {
+			if ( current ) {
+				descriptors.push( current );
+				current = '';
+			}
+		} else if ( c === ',' ) {
+			pos++;
+			break;
+		} else {
+			current += c;
+			inParens = c === '(';
+		}
+	}
+	if ( current ) {
+		descriptors.push( current );
+	}
+	return { descriptors: descriptors, pos: pos };
+}
+
+/**
+ * @param {string} url
+ * @param {string[]} descriptors
+ * @return {Object|null} Candidate, or null if the descriptors are invalid
+ */
+function toCandidate( url, descriptors ) {
+	let candidate = { url: url, width: null, density: null, height: null };
+	for ( let i = 0; i < descriptors.length; i++ ) {
+		let m = /^(.*)([wxh])$/.exec( descriptors[ i ] );
+		let value = m && m[ 1 ];
+		if ( !m ) {
+			return null;
+		} else if ( m[ 2 ] === 'w' || m[ 2 ] === 'h' ) {
+			let key = m[ 2 ] === 'w' ? 'width' : 'height';
+			if ( candidate[ key ] !== null || !/^\d+$/.test( value ) || !( Number( value ) > 0 ) ) {
+				return null;
+			}
+			candidate[ key ] = Number( value );
+		} else {
+			if ( candidate.density !== null || !/^-?(?:\d+|\d*\.\d+)(?:[eE][+-]?\d+)?$/.test( value ) ||
+				!( Number( value ) >= 0 )
+			) {
+				return null;
+			}
+			candidate.density = Number( value );
+		}
+	}
+	if ( ( candidate.width !== null && candidate.density !== null ) ||
+		( candidate.height !== null && candidate.width === null )
+	) {
+		return null;
+	}
+	return candidate;
+}
+
+class SrcsetParser {
+	/**
+	 * @param {string} text
+	 * @return {Object[]} Candidates
+	 */
+	static parse( text ) {
+		let candidates = [];
+		let pos = 0;
+		while ( pos < text.length ) {
+			let m = /^[\t\n\f\r ,]*/.exec( text.slice( pos ) );
+			pos += m[ 0 ].length;
+			if ( pos >= text.length ) {
+				break;
+			}
+			let url = /^[^\t\n\f\r ]*/.exec( text.slice( pos ) )[ 0 ];
+			pos += url.length;
+			let descriptors = [];
+			if ( /,$/.test( url ) ) {
+				url = url.replace( /,+$/, '' );
+			} else {
+				let result = tokenizeDescriptors( text, pos );
+				descriptors = result.descriptors;
+				pos = result.pos;
+			}
+			let candidate = toCandidate( url, descriptors );
+			if ( candidate ) {
+				candidates.push( candidate );
+			}
+		}
+		return candidates;
+	}
+
+	/**
+	 * @param {Object[]} candidates
+	 * @return {string}
+	 */
+	static serialize( candidates ) {
+		return candidates.map( function ( candidate ) {
+			// Commas at either end of the URL would be read as separators
+			let out = candidate.url.replace( /^,+|,+$/g, function ( commas ) {
+				return commas.replace( /,/g, '%2C' );
+			} );
+			if ( candidate.width !== null ) {
+				out += ' ' + candidate.width + 'w';
+			}
+			if ( candidate.height !== null ) {
+				out += ' ' + candidate.height + 'h';
+			}
+			if ( candidate.density !== null ) {
+				out += ' ' + candidate.density + 'x';
+			}
+			return out;
+		} ).join( ', ' );
+	}
+}
+
+module.exports = SrcsetParser;
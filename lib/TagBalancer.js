@@ -0,0 +1,244 @@
+/*
+ * Keeps the sanitizer output a balanced fragment.
+ *
+ * Tracks the elements we have emitted so far on an open element stack,
+ * closes elements that HTML closes implicitly (eg. a <p> followed by a
+ * <div>), drops end tags that have no open element, and closes everything
+ * left open at the end of the input.
+ *
+ * Formatting elements (<b>, <i>, ...) which get closed because an
+ * enclosing element ended are reopened before the next content, similar
+ * to the "reconstruct the active formatting elements" step of the HTML5
+ * tree builder. So `<i><b>x</i>y</b>` becomes `<i><b>x</b></i><b>y</b>`.
+ *
+ * Tags that are not in the input are marked the way Parsoid marks them,
+ * with autoInsertedEnd or autoInsertedStart in their dataAttribs.
+ */
+
+'use strict';
+
+const Consts = require( './config/WikitextConstants' );
+const Util = require( './utils/Util' );
+const defines = require( './Tokens' );
+
+// Elements that terminate the search for an open element to implicitly
+// close. See https://html.spec.whatwg.org/multipage/parsing.html#has-an-element-in-scope
+const defaultScope = new Set( [
+	'applet', 'button', 'caption', 'html', 'marquee', 'object',
+	'table', 'td', 'template', 'th'
+] );
+
+// Start tags that implicitly close an open element of the same kind,
+// provided it is found before any of the `scope` elements.
+const impliedEndTags = new Map( [
+	[ 'li', { closes: [ 'li' ], scope: [ 'ol', 'ul' ] } ],
+	[ 'dd', { closes: [ 'dd', 'dt' ], scope: [ 'dl' ] } ],
+	[ 'dt', { closes: [ 'dd', 'dt' ], scope: [ 'dl' ] } ],
+	[ 'tbody', { closes: [ 'tbody', 'thead', 'tfoot' ], scope: [ 'table' ] } ],
+	[ 'thead', { closes: [ 'tbody', 'thead', 'tfoot' ], scope: [ 'table' ] } ],
+	[ 'tfoot', { closes: [ 'tbody', 'thead', 'tfoot' ], scope: [ 'table' ] } ],
+	[ 'tr', { closes: [ 'tr' ], scope: [ 'table', 'tbody', 'thead', 'tfoot' ] } ],
+	[ 'td', { closes: [ 'td', 'th' ], scope: [ 'table', 'tr' ] } ],
+	[ 'th', { closes: [ 'td', 'th' ], scope: [ 'table', 'tr' ] } ]
+] );
+
+function isFormattingElement( name ) {
+	return Consts.HTML.FormattingTags.has( name.toUpperCase() );
+}
+
+// Block elements close an open <p>, except for table internals which
+// can only appear inside their table.
+function closesParagraph( name ) {
+	let uName = name.toUpperCase();
+	return Util.isBlockTag( name ) &&
+		( uName === 'TABLE' || !Consts.HTML.TableTags.has( uName ) );
+}
+
+class TagBalancer {
+	constructor() {
+		this.reset();
+	}
+
+	reset() {
+		// Open elements, innermost last. Each entry is the emitted TagTk.
+		this.stack = [];
+		// Formatting elements to reopen before the next content
+		this.reopen = [];
+		// Stack depth the reopen list belongs to
+		this.reopenDepth = 0;
+	}
+
+	/**
+	 * @return {string|null} Name of the innermost open element
+	 */
+	currentNode() {
+		let top = this.stack[ this.stack.length - 1 ];
+		return top ? top.name : null;
+	}
+
+	/**
+	 * Whether an end tag for the named element would close anything,
+	 * either an open element or one waiting to be reopened.
+	 *
+	 * @param {string} name
+	 * @return {boolean}
+	 */
+	isOpen( name ) {
+		return this.stack.concat( this.reopen ).some( function ( token ) {
+			return token.name === name;
+		} );
+	}
+
+	/**
+	 * Find the innermost open element named one of `names`, searching no
+	 * further out than the first element in `scope`.
+	 *
+	 * @param {string[]} names
+	 * @param {Set|string[]} scope
+	 * @return {number} Stack index, or -1
+	 */
+	findInScope( names, scope ) {
+		scope = scope instanceof Set ? scope : new Set( scope );
+		for ( let i = this.stack.length - 1; i >= 0; i-- ) {
+			let name = this.stack[ i ].name;
+			if ( names.indexOf( name ) !== -1 ) {
+				return i;
+			}
+			if ( scope.has( name ) ) {
+				break;
+			}
+		}
+		return -1;
+	}
+
+	/**
+	 * Pop the stack down to (and including) index `i`.
+	 *
+	 * @param {number} i
+	 * @param {Token[]} out End tags are appended here
+	 * @param {boolean} [explicit] The element at `i` is closed by an end
+	 *  tag in the input
+	 */
+	popTo( i, out, explicit ) {
+		let reopen = [];
+		while ( this.stack.length > i ) {
+			let token = this.stack.pop();
+			let da = { stx: 'html' };
+			if ( !explicit || this.stack.length > i ) {
+				da.autoInsertedEnd = true;
+			}
+			out.push( new defines.EndTagTk( token.name, [], da ) );
+			if ( this.stack.length > i && isFormattingElement( token.name ) ) {
+				reopen.unshift( token );
+			}
+		}
+		this.forgetReopen();
+		if ( reopen.length ) {
+			this.reopen = reopen.concat( this.reopen );
+			this.reopenDepth = this.stack.length;
+		}
+	}
+
+	// Discard reopen entries once the element they lived in is closed.
+	forgetReopen() {
+		if ( this.stack.length < this.reopenDepth ) {
+			this.reopen = [];
+			this.reopenDepth = 0;
+		}
+	}
+
+	/**
+	 * Reopen formatting elements that were closed implicitly.
+	 *
+	 * @param {Token[]} out Start tags are appended here
+	 */
+	reconstruct( out ) {
+		let reopen = this.reopen;
+		this.reopen = [];
+		for ( let i = 0; i < reopen.length; i++ ) {
+			let token = new defines.TagTk( reopen[ i ].name, reopen[ i ].attribs.slice(),
+				Object.assign( {}, reopen[ i ].dataAttribs, { autoInsertedStart: true } ) );
+			this.stack.push( token );
+			out.push( token );
+		}
+	}
+
+	/**
+	 * @return {Token[]} Tokens to emit before a piece of text
+	 */
+	text() {
+		let out = [];
+		this.reconstruct( out );
+		return out;
+	}
+
+	/**
+	 * @param {TagTk|SelfclosingTagTk} token
+	 * @return {Token[]} Tokens to emit for the start tag
+	 */
+	startTag( token ) {
+		let out = [];
+		let name = token.name;
+		let rule = impliedEndTags.get( name );
+		let i;
+
+		if ( closesParagraph( name ) ) {
+			i = this.findInScope( [ 'p' ], defaultScope );
+			if ( i !== -1 ) {
+				this.popTo( i, out );
+			}
+		}
+		if ( rule ) {
+			i = this.findInScope( rule.closes, rule.scope );
+			if ( i !== -1 ) {
+				this.popTo( i, out );
+			}
+		}
+		if ( /^h[1-6]$/.test( name ) && /^h[1-6]$/.test( this.currentNode() ) ) {
+			this.popTo( this.stack.length - 1, out );
+		}
+		if ( !Util.isBlockTag( name ) ) {
+			this.reconstruct( out );
+		}
+
+		out.push( token );
+		if ( token.constructor.name === 'TagTk' && !Util.isVoidElement( name ) ) {
+			this.stack.push( token );
+		}
+		return out;
+	}
+
+	/**
+	 * @param {EndTagTk} token
+	 * @return {Token[]} Tokens to emit for the end tag; empty if there is
+	 *  no open element to close.
+	 */
+	endTag( token ) {
+		let out = [];
+		let i = this.findInScope( [ token.name ], [] );
+		if ( i !== -1 ) {
+			this.popTo( i, out, true );
+		} else {
+			// Closing an element that is waiting to be reopened
+			for ( i = this.reopen.length - 1; i >= 0; i-- ) {
+				if ( this.reopen[ i ].name === token.name ) {
+					this.reopen.splice( i, 1 );
+					break;
+				}
+			}
+		}
+		return out;
+	}
+
+	/**
+	 * @return {Token[]} End tags for everything still open
+	 */
+	end() {
+		let out = [];
+		this.popTo( 0, out );
+		this.reset();
+		return out;
+	}
+}
+
+module.exports = TagBalancer;
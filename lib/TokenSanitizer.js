@@ -10,10 +10,222 @@
 'use strict';
 
 const semver = require( 'semver' ),
+	URL = require( 'url' ).URL,
+	HtmlEntities = require( './config/HtmlEntities' ),
+	CSSSanitizer = require( './CSSSanitizer' ),
+	SrcsetParser = require( './SrcsetParser' ),
 	JSUtils = require( './utils/jsutils' ),
 	Util = require( './utils/Util' ),
 	WikitextConstants = require( './config/WikitextConstants' );
 
+/**
+ * Compute the per-tag attribute whitelist for the given flags.
+ *
+ * @param {Object} config
+ * @param {boolean} config.allowRdfaAttrs
+ * @param {boolean} config.allowMicrodataAttrs
+ * @return {Object} Map from tag name to an array of attribute names
+ */
+function computeAttrWhiteList( config ) {
+	var common = [ 'id', 'class', 'lang', 'dir', 'title', 'style' ];
+
+	// WAI-ARIA
+	common = common.concat( [
+		'aria-describedby',
+		'aria-flowto',
+		'aria-label',
+		'aria-labelledby',
+		'aria-owns',
+		'role'
+	] );
+
+	// RDFa attributes
+	// These attributes are specified in section 9 of
+	// https://www.w3.org/TR/2008/REC-rdfa-syntax-20081014
+	const rdfa = [ 'about', 'property', 'resource', 'datatype', 'typeof' ];
+	if ( config.allowRdfaAttrs ) {
+		common = common.concat( rdfa );
+	}
+
+	// Microdata. These are specified by
+	// https://html.spec.whatwg.org/multipage/microdata.html#the-microdata-model
+	const mda = [ 'itemid', 'itemprop', 'itemref', 'itemscope', 'itemtype' ];
+	if ( config.allowMicrodataAttrs ) {
+		common = common.concat( mda );
+	}
+
+	let block = common.concat( [ 'align' ] );
+	const tablealign = [ 'align', 'valign' ];
+	const tablecell = [
+		'abbr', 'axis', 'headers', 'scope', 'rowspan', 'colspan',
+		// these next 4 are deprecated
+		'nowrap', 'width', 'height', 'bgcolor'
+	];
+
+	// Numbers refer to sections in HTML 4.01 standard describing the element.
+	// See: http://www.w3.org/TR/html4/
+	return {
+		// 7.5.4
+		div: block,
+		center: common, // deprecated
+		span: common,
+
+		// 7.5.5
+		h1: block,
+		h2: block,
+		h3: block,
+		h4: block,
+		h5: block,
+		h6: block,
+
+		// 7.5.6
+		// address
+
+		// 8.2.4
+		bdo: common,
+
+		// 9.2.1
+		em: common,
+		strong: common,
+		cite: common,
+		dfn: common,
+		code: common,
+		samp: common,
+		kbd: common,
+		'var': common,
+		abbr: common,
+		// acronym
+
+		// 9.2.2
+		blockquote: common.concat( [ 'cite' ] ),
+		q: common.concat( [ 'cite' ] ),
+
+		// 9.2.3
+		sub: common,
+		sup: common,
+
+		// 9.3.1
+		p: block,
+
+		// 9.3.2
+		br: common.concat( [ 'clear' ] ),
+
+		// https://www.w3.org/TR/html5/text-level-semantics.html#the-wbr-element
+		wbr: common,
+
+		// 9.3.4
+		pre: common.concat( [ 'width' ] ),
+
+		// 9.4
+		ins: common.concat( [ 'cite', 'datetime' ] ),
+		del: common.concat( [ 'cite', 'datetime' ] ),
+
+		// 10.2
+		ul: common.concat( [ 'type' ] ),
+		ol: common.concat( [ 'type', 'start', 'reversed' ] ),
+		li: common.concat( [ 'type', 'value' ] ),
+
+		// 10.3
+		dl: common,
+		dd: common,
+		dt: common,
+
+		// 11.2.1
+		table: common.concat( [
+			'summary', 'width', 'border', 'frame',
+			'rules', 'cellspacing', 'cellpadding',
+			'align', 'bgcolor'
+		] ),
+
+		// 11.2.2
+		caption: block,
+
+		// 11.2.3
+		thead: common,
+		tfoot: common,
+		tbody: common,
+
+		// 11.2.4
+		colgroup: common.concat( [ 'span' ] ),
+		col: common.concat( [ 'span' ] ),
+
+		// 11.2.5
+		tr: common.concat( [ 'bgcolor' ] ).concat( tablealign ),
+
+		// 11.2.6
+		td: common.concat( tablecell, tablealign ),
+		th: common.concat( tablecell, tablealign ),
+
+		// 12.2
+		// NOTE: <a> is not allowed directly, but the attrib
+		// whitelist is used from the Parser object
+		a: common.concat( [ 'href', 'rel', 'rev' ] ), // rel/rev esp. for RDFa
+
+		// 13.2
+		// Not usually allowed, but may be used for extension-style hooks
+		// such as <math> when it is rasterized, or if wgAllowImageTag is
+		// true
+		img: common.concat( [ 'alt', 'src', 'width', 'height', 'srcset' ] ),
+		// Attributes for A/V tags added in T163583
+		video: common.concat( [ 'poster', 'controls', 'preload', 'width', 'height' ] ),
+		source: common.concat( [ 'type', 'src' ] ),
+		track: common.concat( [ 'type', 'src', 'srclang', 'kind', 'label' ] ),
+
+		// 15.2.1
+		tt: common,
+		b: common,
+		i: common,
+		big: common,
+		small: common,
+		strike: common,
+		s: common,
+		u: common,
+
+		// 15.2.2
+		font: common.concat( [ 'size', 'color', 'face' ] ),
+		// basefont
+
+		// 15.3
+		hr: common.concat( [ 'width' ] ),
+
+		// HTML Ruby annotation text module, simple ruby only.
+		// https://www.w3.org/TR/html5/text-level-semantics.html#the-ruby-element
+		ruby: common,
+		// rbc
+		rb: common,
+		rp: common,
+		rt: common, // common.concat([ 'rbspan' ]),
+		rtc: common,
+
+		// MathML root element, where used for extensions
+		// 'title' may not be 100% valid here; it's XHTML
+		// http://www.w3.org/TR/REC-MathML/
+		math: [ 'class', 'style', 'id', 'title' ],
+
+		// HTML 5 section 4.5
+		figure: common,
+		'figure-inline': common,
+		figcaption: common,
+
+		// HTML 5 section 4.6
+		bdi: common,
+
+		// HTML5 elements, defined by:
+		// https://html.spec.whatwg.org/multipage/semantics.html#the-data-element
+		data: common.concat( [ 'value' ] ),
+		time: common.concat( [ 'datetime' ] ),
+		mark: common,
+
+		// meta and link are only permitted by removeHTMLtags when Microdata
+		// is enabled so we don't bother adding a conditional to hide these
+		// Also meta and link are only valid in WikiText as Microdata elements
+		// (ie: validateTag rejects tags missing the attributes needed for Microdata)
+		// So we don't bother including $common attributes that have no purpose.
+		meta: [ 'itemprop', 'content' ],
+		link: [ 'itemprop', 'href', 'title' ]
+	};
+}
+
 /**
  * @namespace
  */
@@ -21,7 +233,8 @@ const semver = require( 'semver' ),
 const SanitizerConstants = {
 	// Assumptions:
 	// 1. This is "constant" -- enforced via Util.deepFreeze.
-	// 2. All sanitizers have the same global config.
+	// 2. globalConfig is only the default; sanitizers with a different
+	//    config carry their own compiled policy in `conf.policy`.
 	globalConfig: {
 		allowRdfaAttrs: true,
 		allowMicrodataAttrs: true,
@@ -35,274 +248,36 @@ const SanitizerConstants = {
 	},
 
 	/**
-	 * List of all named character entities defined in HTML 4.01
-	 * http://www.w3.org/TR/html4/sgml/entities.html
-	 * As well as &apos; which is only defined starting in XHTML1.
+	 * The named character references of HTML5, mapped to the characters
+	 * they stand for.
+	 * https://html.spec.whatwg.org/multipage/named-characters.html
 	 * @private
 	 */
-	htmlEntities: {
-		Aacute: 193,
-		aacute: 225,
-		Acirc: 194,
-		acirc: 226,
-		acute: 180,
-		AElig: 198,
-		aelig: 230,
-		Agrave: 192,
-		agrave: 224,
-		alefsym: 8501,
-		Alpha: 913,
-		alpha: 945,
-		amp: 38,
-		and: 8743,
-		ang: 8736,
-		apos: 39, // New in XHTML & HTML 5; avoid in output for compatibility with IE.
-		Aring: 197,
-		aring: 229,
-		asymp: 8776,
-		Atilde: 195,
-		atilde: 227,
-		Auml: 196,
-		auml: 228,
-		bdquo: 8222,
-		Beta: 914,
-		beta: 946,
-		brvbar: 166,
-		bull: 8226,
-		cap: 8745,
-		Ccedil: 199,
-		ccedil: 231,
-		cedil: 184,
-		cent: 162,
-		Chi: 935,
-		chi: 967,
-		circ: 710,
-		clubs: 9827,
-		cong: 8773,
-		copy: 169,
-		crarr: 8629,
-		cup: 8746,
-		curren: 164,
-		dagger: 8224,
-		Dagger: 8225,
-		darr: 8595,
-		dArr: 8659,
-		deg: 176,
-		Delta: 916,
-		delta: 948,
-		diams: 9830,
-		divide: 247,
-		Eacute: 201,
-		eacute: 233,
-		Ecirc: 202,
-		ecirc: 234,
-		Egrave: 200,
-		egrave: 232,
-		empty: 8709,
-		emsp: 8195,
-		ensp: 8194,
-		Epsilon: 917,
-		epsilon: 949,
-		equiv: 8801,
-		Eta: 919,
-		eta: 951,
-		ETH: 208,
-		eth: 240,
-		Euml: 203,
-		euml: 235,
-		euro: 8364,
-		exist: 8707,
-		fnof: 402,
-		forall: 8704,
-		frac12: 189,
-		frac14: 188,
-		frac34: 190,
-		frasl: 8260,
-		Gamma: 915,
-		gamma: 947,
-		ge: 8805,
-		gt: 62,
-		harr: 8596,
-		hArr: 8660,
-		hearts: 9829,
-		hellip: 8230,
-		Iacute: 205,
-		iacute: 237,
-		Icirc: 206,
-		icirc: 238,
-		iexcl: 161,
-		Igrave: 204,
-		igrave: 236,
-		image: 8465,
-		infin: 8734,
-		'int': 8747,
-		Iota: 921,
-		iota: 953,
-		iquest: 191,
-		isin: 8712,
-		Iuml: 207,
-		iuml: 239,
-		Kappa: 922,
-		kappa: 954,
-		Lambda: 923,
-		lambda: 955,
-		lang: 9001,
-		laquo: 171,
-		larr: 8592,
-		lArr: 8656,
-		lceil: 8968,
-		ldquo: 8220,
-		le: 8804,
-		lfloor: 8970,
-		lowast: 8727,
-		loz: 9674,
-		lrm: 8206,
-		lsaquo: 8249,
-		lsquo: 8216,
-		lt: 60,
-		macr: 175,
-		mdash: 8212,
-		micro: 181,
-		middot: 183,
-		minus: 8722,
-		Mu: 924,
-		mu: 956,
-		nabla: 8711,
-		nbsp: 160,
-		ndash: 8211,
-		ne: 8800,
-		ni: 8715,
-		not: 172,
-		notin: 8713,
-		nsub: 8836,
-		Ntilde: 209,
-		ntilde: 241,
-		Nu: 925,
-		nu: 957,
-		Oacute: 211,
-		oacute: 243,
-		Ocirc: 212,
-		ocirc: 244,
-		OElig: 338,
-		oelig: 339,
-		Ograve: 210,
-		ograve: 242,
-		oline: 8254,
-		Omega: 937,
-		omega: 969,
-		Omicron: 927,
-		omicron: 959,
-		oplus: 8853,
-		or: 8744,
-		ordf: 170,
-		ordm: 186,
-		Oslash: 216,
-		oslash: 248,
-		Otilde: 213,
-		otilde: 245,
-		otimes: 8855,
-		Ouml: 214,
-		ouml: 246,
-		para: 182,
-		part: 8706,
-		permil: 8240,
-		perp: 8869,
-		Phi: 934,
-		phi: 966,
-		Pi: 928,
-		pi: 960,
-		piv: 982,
-		plusmn: 177,
-		pound: 163,
-		prime: 8242,
-		Prime: 8243,
-		prod: 8719,
-		prop: 8733,
-		Psi: 936,
-		psi: 968,
-		quot: 34,
-		radic: 8730,
-		rang: 9002,
-		raquo: 187,
-		rarr: 8594,
-		rArr: 8658,
-		rceil: 8969,
-		rdquo: 8221,
-		real: 8476,
-		reg: 174,
-		rfloor: 8971,
-		Rho: 929,
-		rho: 961,
-		rlm: 8207,
-		rsaquo: 8250,
-		rsquo: 8217,
-		sbquo: 8218,
-		Scaron: 352,
-		scaron: 353,
-		sdot: 8901,
-		sect: 167,
-		shy: 173,
-		Sigma: 931,
-		sigma: 963,
-		sigmaf: 962,
-		sim: 8764,
-		spades: 9824,
-		sub: 8834,
-		sube: 8838,
-		sum: 8721,
-		sup: 8835,
-		sup1: 185,
-		sup2: 178,
-		sup3: 179,
-		supe: 8839,
-		szlig: 223,
-		Tau: 932,
-		tau: 964,
-		there4: 8756,
-		Theta: 920,
-		theta: 952,
-		thetasym: 977,
-		thinsp: 8201,
-		THORN: 222,
-		thorn: 254,
-		tilde: 732,
-		times: 215,
-		trade: 8482,
-		Uacute: 218,
-		uacute: 250,
-		uarr: 8593,
-		uArr: 8657,
-		Ucirc: 219,
-		ucirc: 251,
-		Ugrave: 217,
-		ugrave: 249,
-		uml: 168,
-		upsih: 978,
-		Upsilon: 933,
-		upsilon: 965,
-		Uuml: 220,
-		uuml: 252,
-		weierp: 8472,
-		Xi: 926,
-		xi: 958,
-		Yacute: 221,
-		yacute: 253,
-		yen: 165,
-		Yuml: 376,
-		yuml: 255,
-		Zeta: 918,
-		zeta: 950,
-		zwj: 8205,
-		zwnj: 8204
-	},
+	htmlEntities: Object.assign( {}, HtmlEntities.named ),
+
+	/**
+	 * The names of the references browsers also recognize without the
+	 * semicolon, like `&amp` and `&copy`, a legacy of HTML 4.
+	 * @private
+	 */
+	legacyEntities: new Set( HtmlEntities.legacy ),
 
-	UTF8_REPLACEMENT: '\xef\xbf\xbd',
+	UTF8_REPLACEMENT: '\uFFFD',
+
+	/**
+	 * What numeric references to U+0080 to U+009F stand for, as browsers
+	 * read them: the windows-1252 characters, where there is one.
+	 * https://html.spec.whatwg.org/multipage/parsing.html#numeric-character-reference-end-state
+	 * @private
+	 */
+	windows1252: '\u20ac\x81\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\x8d\u017d\x8f' +
+		'\x90\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\x9d\u017e\u0178',
 
 	/**
 	 * Regular expression to match various types of character references in
 	 * Sanitizer::normalizeCharReferences and Sanitizer::decodeCharReferences
 	 */
-	CHAR_REFS_RE_G: /&([A-Za-z0-9\x80-\xff]+);|&#([0-9]+);|&#[xX]([0-9A-Fa-f]+);|(&)/g,
+	CHAR_REFS_RE_G: /&([A-Za-z0-9\x80-\xff]+)(;?)|&#([0-9]+);?|&#[xX]([0-9A-Fa-f]+);?|(&)/g,
 
 	/**
 	 * Blacklist for evil uris like javascript:
@@ -334,238 +309,10 @@ const SanitizerConstants = {
 	),
 
 	setDerivedConstants: function () {
-		function computeCSSDecodeRegexp() {
-			// Decode escape sequences and line continuation
-			// See the grammar in the CSS 2 spec, appendix D.
-			// This has to be done AFTER decoding character references.
-			// This means it isn't possible for this function to return
-			// unsanitized escape sequences. It is possible to manufacture
-			// input that contains character references that decode to
-			// escape sequences that decode to character references, but
-			// it's OK for the return value to contain character references
-			// because the caller is supposed to escape those anyway.
-			let space = '[\\x20\\t\\r\\n\\f]';
-			let nl = '(?:\\n|\\r\\n|\\r|\\f)';
-			let backslash = '\\\\';
-			return new RegExp( backslash +
-				'(?:' +
-					'(' + nl + ')|' + // 1. Line continuation
-					'([0-9A-Fa-f]{1,6})' + space + '?|' + // 2. character number
-					'(.)|' + // 3. backslash cancelling special meaning
-					'()$' + // 4. backslash at end of string
-				')' );
-		}
-
-		// SSS FIXME:
-		// If multiple sanitizers with different configs can be active at the same time,
-		// attrWhiteList code would have to be redone to cache the white list in the
-		// Sanitizer object rather than in the SanitizerConstants object.
-		function computeAttrWhiteList( config ) {
-			var common = [ 'id', 'class', 'lang', 'dir', 'title', 'style' ];
-
-			// WAI-ARIA
-			common = common.concat( [
-				'aria-describedby',
-				'aria-flowto',
-				'aria-label',
-				'aria-labelledby',
-				'aria-owns',
-				'role'
-			] );
-
-			// RDFa attributes
-			// These attributes are specified in section 9 of
-			// https://www.w3.org/TR/2008/REC-rdfa-syntax-20081014
-			const rdfa = [ 'about', 'property', 'resource', 'datatype', 'typeof' ];
-			if ( config.allowRdfaAttrs ) {
-				common = common.concat( rdfa );
-			}
-
-			// Microdata. These are specified by
-			// https://html.spec.whatwg.org/multipage/microdata.html#the-microdata-model
-			const mda = [ 'itemid', 'itemprop', 'itemref', 'itemscope', 'itemtype' ];
-			if ( config.allowMicrodataAttrs ) {
-				common = common.concat( mda );
-			}
-
-			let block = common.concat( [ 'align' ] );
-			const tablealign = [ 'align', 'valign' ];
-			const tablecell = [
-				'abbr', 'axis', 'headers', 'scope', 'rowspan', 'colspan',
-				// these next 4 are deprecated
-				'nowrap', 'width', 'height', 'bgcolor'
-			];
-
-			// Numbers refer to sections in HTML 4.01 standard describing the element.
-			// See: http://www.w3.org/TR/html4/
-			return {
-				// 7.5.4
-				div: block,
-				center: common, // deprecated
-				span: common,
-
-				// 7.5.5
-				h1: block,
-				h2: block,
-				h3: block,
-				h4: block,
-				h5: block,
-				h6: block,
-
-				// 7.5.6
-				// address
-
-				// 8.2.4
-				bdo: common,
-
-				// 9.2.1
-				em: common,
-				strong: common,
-				cite: common,
-				dfn: common,
-				code: common,
-				samp: common,
-				kbd: common,
-				'var': common,
-				abbr: common,
-				// acronym
-
-				// 9.2.2
-				blockquote: common.concat( [ 'cite' ] ),
-				q: common.concat( [ 'cite' ] ),
-
-				// 9.2.3
-				sub: common,
-				sup: common,
-
-				// 9.3.1
-				p: block,
-
-				// 9.3.2
-				br: common.concat( [ 'clear' ] ),
-
-				// https://www.w3.org/TR/html5/text-level-semantics.html#the-wbr-element
-				wbr: common,
-
-				// 9.3.4
-				pre: common.concat( [ 'width' ] ),
-
-				// 9.4
-				ins: common.concat( [ 'cite', 'datetime' ] ),
-				del: common.concat( [ 'cite', 'datetime' ] ),
-
-				// 10.2
-				ul: common.concat( [ 'type' ] ),
-				ol: common.concat( [ 'type', 'start', 'reversed' ] ),
-				li: common.concat( [ 'type', 'value' ] ),
-
-				// 10.3
-				dl: common,
-				dd: common,
-				dt: common,
-
-				// 11.2.1
-				table: common.concat( [
-					'summary', 'width', 'border', 'frame',
-					'rules', 'cellspacing', 'cellpadding',
-					'align', 'bgcolor'
-				] ),
-
-				// 11.2.2
-				caption: block,
-
-				// 11.2.3
-				thead: common,
-				tfoot: common,
-				tbody: common,
-
-				// 11.2.4
-				colgroup: common.concat( [ 'span' ] ),
-				col: common.concat( [ 'span' ] ),
-
-				// 11.2.5
-				tr: common.concat( [ 'bgcolor' ] ).concat( tablealign ),
-
-				// 11.2.6
-				td: common.concat( tablecell, tablealign ),
-				th: common.concat( tablecell, tablealign ),
-
-				// 12.2
-				// NOTE: <a> is not allowed directly, but the attrib
-				// whitelist is used from the Parser object
-				a: common.concat( [ 'href', 'rel', 'rev' ] ), // rel/rev esp. for RDFa
-
-				// 13.2
-				// Not usually allowed, but may be used for extension-style hooks
-				// such as <math> when it is rasterized, or if wgAllowImageTag is
-				// true
-				img: common.concat( [ 'alt', 'src', 'width', 'height', 'srcset' ] ),
-				// Attributes for A/V tags added in T163583
-				video: common.concat( [ 'poster', 'controls', 'preload', 'width', 'height' ] ),
-				source: common.concat( [ 'type', 'src' ] ),
-				track: common.concat( [ 'type', 'src', 'srclang', 'kind', 'label' ] ),
-
-				// 15.2.1
-				tt: common,
-				b: common,
-				i: common,
-				big: common,
-				small: common,
-				strike: common,
-				s: common,
-				u: common,
-
-				// 15.2.2
-				font: common.concat( [ 'size', 'color', 'face' ] ),
-				// basefont
-
-				// 15.3
-				hr: common.concat( [ 'width' ] ),
-
-				// HTML Ruby annotation text module, simple ruby only.
-				// https://www.w3.org/TR/html5/text-level-semantics.html#the-ruby-element
-				ruby: common,
-				// rbc
-				rb: common,
-				rp: common,
-				rt: common, // common.concat([ 'rbspan' ]),
-				rtc: common,
-
-				// MathML root element, where used for extensions
-				// 'title' may not be 100% valid here; it's XHTML
-				// http://www.w3.org/TR/REC-MathML/
-				math: [ 'class', 'style', 'id', 'title' ],
-
-				// HTML 5 section 4.5
-				figure: common,
-				'figure-inline': common,
-				figcaption: common,
-
-				// HTML 5 section 4.6
-				bdi: common,
-
-				// HTML5 elements, defined by:
-				// https://html.spec.whatwg.org/multipage/semantics.html#the-data-element
-				data: common.concat( [ 'value' ] ),
-				time: common.concat( [ 'datetime' ] ),
-				mark: common,
-
-				// meta and link are only permitted by removeHTMLtags when Microdata
-				// is enabled so we don't bother adding a conditional to hide these
-				// Also meta and link are only valid in WikiText as Microdata elements
-				// (ie: validateTag rejects tags missing the attributes needed for Microdata)
-				// So we don't bother including $common attributes that have no purpose.
-				meta: [ 'itemprop', 'content' ],
-				link: [ 'itemprop', 'href', 'title' ]
-			};
-		}
-
 		// Tags whose end tags are not accepted, but whose start /
 		// self-closing version might be legal.
 		this.noEndTagSet = new Set( [ 'br' ] );
 
-		// |/?[^/])[^\\s]+$");
-		this.cssDecodeRE = computeCSSDecodeRegexp();
 		this.attrWhiteList = computeAttrWhiteList( this.globalConfig );
 	}
 };
@@ -593,48 +340,56 @@ ignoreFields.CHAR_REFS_RE_G = true;
 // Freeze it blocking all accidental changes
 JSUtils.deepFreezeButIgnore( SanitizerConstants, ignoreFields );
 
-function removeMismatchedQuoteChar( str, quoteChar ) {
-	var re1, re2;
-	if ( quoteChar === '\'' ) {
-		re1 = /'/g;
-		re2 = /'([^'\n\r\f]*)$/;
-	} else {
-		re1 = /"/g;
-		re2 = /"([^"\n\r\f]*)$/;
-	}
-	let mismatch = ( ( str.match( re1 ) || [] ).length ) % 2 === 1;
-	if ( mismatch ) {
-		str = str.replace( re2, function () {
-			// replace the mismatched quoteChar with a space
-			return ' ' + arguments[ 1 ];
-		} );
-	}
-	return str;
+// Internet Explorer conditional comments, eg. <!--[if IE]>...<![endif]-->
+const conditionalCommentRE = /^\s*\[if\b|<!\[endif\]|\[endif\]\s*$/i;
+
+// Sequences which end (or are invalid inside) a comment in at least one
+// browser.  See https://html.spec.whatwg.org/multipage/syntax.html#comments
+const commentTerminatorRE = /--|^-?>|-$|<!/;
+
+// Used when no policy is given
+const defaultCss = new CSSSanitizer();
+
+// What a URL scheme can look like. Anything else before the first colon
+// (eg. a percent-encoded scheme) is rejected rather than read as a path.
+const schemeRE = /^([a-zA-Z][a-zA-Z0-9+.-]*):/;
+const schemeLikeRE = /^[^/?#\\]*:/;
+// Characters that are left unencoded by the URL parser in some URL parts,
+// but that we never want to see unencoded in an attribute
+// eslint-disable-next-line no-control-regex
+const unsafeUrlCharsRE = /[\][<>"\x00-\x20\x7F|]/g;
+
+/**
+ * Put percent-encoding in canonical form: escapes of unreserved
+ * characters are decoded, the others get uppercase hex digits.
+ *
+ * @param {string} text
+ * @return {string}
+ */
+function canonicalizePercentEncoding( text ) {
+	return text.replace( /%([0-9a-fA-F]{2})/g, function ( m, hex ) {
+		let c = String.fromCharCode( parseInt( hex, 16 ) );
+		return /[A-Za-z0-9._~-]/.test( c ) ? c : '%' + hex.toUpperCase();
+	} );
+}
+
+function encodeUnsafeUrlChars( text ) {
+	return text.replace( unsafeUrlCharsRE, function ( c ) {
+		return '%' + ( '0' + c.charCodeAt( 0 ).toString( 16 ).toUpperCase() ).slice( -2 );
+	} );
 }
 
-const ieReplace = new Map( Object.entries( {
-	ʀ: 'r',
-	ɴ: 'n',
-	ⁿ: 'n',
-	ʟ: 'l',
-	ɪ: 'i',
-	'⁽': '(',
-	'₍': '('
-} ) );
-
-const insecureRE = new RegExp(
-	'expression' +
-		'|filter\\s*:' +
-		'|accelerator\\s*:' +
-		'|-o-link\\s*:' +
-		'|-o-link-source\\s*:' +
-		'|-o-replace\\s*:' +
-		'|url\\s*\\(' +
-		'|image\\s*\\(' +
-		'|image-set\\s*\\(' +
-		'|attr\\s*\\([^)]+[\\s,]+url',
-	'i'
-);
+/**
+ * @param {string} href
+ * @return {URL|null}
+ */
+function parseAbsoluteUrl( href ) {
+	try {
+		return new URL( href );
+	} catch ( e ) {
+		return null;
+	}
+}
 
 // RDFa and microdata properties allow URLs, URIs and/or CURIs.
 const microData = new Set( [
@@ -651,8 +406,16 @@ const getAttribsRegex = /^(?:[0-:A-Z_a-z\xAA\xB2\xB3\xB5\xB9\xBA\xBC-\xBE\xC0-\x
 
 class TokenSanitizer {
 
-	static getAttrWhiteList( tag ) {
-		var awlCache = TokenSanitizer.attrWhiteListCache;
+	/**
+	 * @param {string} tag
+	 * @param {SanitizerPolicy} [policy] Defaults to the global config
+	 * @return {Set}
+	 */
+	static getAttrWhiteList( tag, policy ) {
+		if ( policy ) {
+			return policy.getAttrWhiteList( tag );
+		}
+		let awlCache = TokenSanitizer.attrWhiteListCache;
 		if ( !awlCache[ tag ] ) {
 			awlCache[ tag ] = new Set( SanitizerConstants.attrWhiteList[ tag ] || [] );
 		}
@@ -663,34 +426,226 @@ class TokenSanitizer {
 		return host.replace( SanitizerConstants.IDN_RE_G, '' );
 	}
 
+	/**
+	 * Normalize a URL the way a browser does before looking at its scheme:
+	 * decode character references, strip leading and trailing whitespace
+	 * and control characters, and drop tabs and newlines anywhere.
+	 * See https://url.spec.whatwg.org/#concept-basic-url-parser
+	 *
+	 * @param {string} href
+	 * @return {string}
+	 */
+	static normalizeUrlScheme( href ) {
+		// eslint-disable-next-line no-control-regex
+		return TokenSanitizer.decodeCharReferences( href, true ).replace( /^[\x00-\x20]+|[\x00-\x20]+$/g, '' )
+			.replace( /[\t\n\r]/g, '' );
+	}
+
+	/**
+	 * Parse and normalize a URL with the WHATWG URL parser, like a browser
+	 * would: the scheme is lowercased, hosts are converted to punycode
+	 * (after stripping the characters of IDN_RE_G), credentials are
+	 * dropped, backslashes count as slashes, and percent-encoding is
+	 * canonicalized.
+	 *
+	 * URLs without a scheme are not resolved against anything, so that
+	 * they stay relative; protocol-relative URLs stay protocol-relative.
+	 *
+	 * @param {string} href
+	 * @param {Object} [options]
+	 * @param {boolean} [options.encode] Also percent-encode characters
+	 *  like `"`, `<` and `|` that the URL parser leaves alone in some parts
+	 *  of a URL
+	 * @return {Object|null} `{ href, scheme, host, url }`, where scheme
+	 *  is null for relative and protocol-relative URLs, host is null for
+	 *  relative URLs and URLs without one, and url is the parsed URL of
+	 *  absolute and protocol-relative URLs. Null if the URL can't be
+	 *  parsed.
+	 */
+	static parseUrl( href, options ) {
+		let encode = options && options.encode;
+		// eslint-disable-next-line no-control-regex
+		href = href.replace( /^[\x00-\x20]+|[\x00-\x20]+$/g, '' ).replace( /[\t\n\r]/g, '' );
+
+		let scheme = schemeRE.exec( href );
+		if ( !scheme && schemeLikeRE.test( href ) ) {
+			return null;
+		}
+		let relative = !scheme && !/^[/\\]{2}/.test( href );
+		if ( relative ) {
+			// Relative to a http(s) page, backslashes in the path are
+			// slashes, which can make the URL protocol-relative
+			let path = /^[^?#]*/.exec( href )[ 0 ];
+			href = path.replace( /\\/g, '/' ) + href.slice( path.length );
+			relative = !/^\/\//.test( href );
+		}
+		if ( relative ) {
+			href = canonicalizePercentEncoding( href );
+			return {
+				href: encode ? encodeUnsafeUrlChars( href ) : href,
+				scheme: null,
+				host: null,
+				url: null
+			};
+		}
+
+		// Strip IDN-ignorable characters from the authority before the URL
+		// parser sees it
+		href = href.replace( /^((?:[a-zA-Z][a-zA-Z0-9+.-]*:)?[/\\]{2})([^/\\?#]*)/, function ( m, prefix, authority ) {
+			return prefix + TokenSanitizer.stripIDNs( authority );
+		} );
+		let url = parseAbsoluteUrl( scheme ? href : 'https:' + href );
+		if ( !url ) {
+			return null;
+		}
+		url.username = '';
+		url.password = '';
+		let prefix = url.protocol + ( url.href.startsWith( url.protocol + '//' ) ? '//' + url.host : '' );
+		let rest = canonicalizePercentEncoding( url.href.slice( prefix.length ) );
+		if ( encode ) {
+			rest = encodeUnsafeUrlChars( rest );
+		}
+		return {
+			href: ( scheme ? prefix : prefix.slice( url.protocol.length ) ) + rest,
+			scheme: scheme ? url.protocol.slice( 0, -1 ) : null,
+			host: url.hostname || null,
+			url: url
+		};
+	}
+
+	/**
+	 * Normalize a URL with parseUrl(), resolve it with the UrlResolver in
+	 * `conf.resolveUrls`, if any, and check its protocol against
+	 * `conf.wiki`.
+	 *
+	 * @param {Object} conf
+	 * @param {string} href
+	 * @param {string} mode 'wikilink' for hrefs of wikilinks, which are
+	 *  already encoded, or 'external'
+	 * @return {string|null} The normalized URL, or null if it is not
+	 *  allowed
+	 */
 	static cleanUrl( conf, href, mode ) {
-		if ( mode !== 'wikilink' ) {
-			// eslint-disable-next-line no-control-regex
-			href = href.replace( /([\][<>"\x00-\x20\x7F|])/g, Util.phpURLEncode );
+		// Character references are decoded here only to judge the
+		// protocol, in case anything downstream decodes them again
+		let proto = /^(?:[a-zA-Z][^:/]*:)?(?:\/\/)?/.exec( TokenSanitizer.normalizeUrlScheme( href ) )[ 0 ];
+		if ( proto && !conf.wiki.hasValidProtocol( proto ) ) {
+			// invalid proto, disallow URL
+			return null;
 		}
 
-		let bits = href.match( /^((?:[a-zA-Z][^:/]*:)?(?:\/\/)?)([^/]+)(\/?.*)/ );
-		let proto, host, path;
+		let url = TokenSanitizer.parseUrl( href, { encode: mode !== 'wikilink' } );
+		if ( !url ) {
+			return null;
+		}
+		href = conf.resolveUrls ? conf.resolveUrls.resolve( url, mode ) : url.href;
+		// Judge the URL as browsers will read it
+		proto = /^(?:[a-z][a-z0-9+.-]*:)?(?:\/\/)?/.exec( href )[ 0 ];
+		if ( proto && !conf.wiki.hasValidProtocol( proto ) ) {
+			return null;
+		}
+		return href;
+	}
 
-		if ( bits ) {
-			proto = bits[ 1 ];
-			if ( proto && !conf.wiki.hasValidProtocol( proto ) ) {
-				// invalid proto, disallow URL
-				return null;
+	/**
+	 * Check the host of a cleaned URL against the HostPolicy of
+	 * `conf.policy`, if any.
+	 *
+	 * @param {Object} conf
+	 * @param {string} tag
+	 * @param {string} attribute
+	 * @param {string} href Result of cleanUrl()
+	 * @return {boolean}
+	 */
+	static allowsHost( conf, tag, attribute, href ) {
+		if ( !conf.policy ) {
+			return true;
+		}
+		let url = TokenSanitizer.parseUrl( href );
+		return !!url && conf.policy.hosts.allows( tag, attribute, url.host );
+	}
+
+	/**
+	 * Check the host of a cleaned URL against the IdnPolicy of
+	 * `conf.policy`, if any.
+	 *
+	 * @param {Object} conf
+	 * @param {string} href Result of cleanUrl()
+	 * @return {Object} `{ href, flagged }`, where href is the URL with its
+	 *  host as the policy wants it, or null if the URL is rejected
+	 */
+	static applyIdnPolicy( conf, href ) {
+		let idn = conf.policy && conf.policy.idn;
+		let url = idn && idn.action && TokenSanitizer.parseUrl( href );
+		if ( !url || !url.host ) {
+			return { href: href, flagged: false };
+		}
+		let result = idn.check( url.host );
+		if ( result.suspicious && idn.action === 'reject' ) {
+			return { href: null, flagged: false };
+		} else if ( result.suspicious && idn.action === 'punycode' ) {
+			return { href: href, flagged: false };
+		}
+		return {
+			// Credentials are gone, so the host follows the first `//`
+			href: href.replace( '//' + url.host, function () {
+				return '//' + result.unicode;
+			} ),
+			flagged: result.suspicious
+		};
+	}
+
+	/**
+	 * Clean each image candidate of a srcset attribute with cleanUrl().
+	 * Candidates whose URL is not allowed, and candidates browsers would
+	 * ignore, are dropped. Hosts the IdnPolicy flags are not reported for
+	 * srcset.
+	 *
+	 * @param {Object} conf
+	 * @param {string} srcset
+	 * @param {string} tag
+	 * @return {string} The reserialized srcset, which is empty if no
+	 *  candidate is left
+	 */
+	static cleanSrcset( conf, srcset, tag ) {
+		let candidates = SrcsetParser.parse( srcset ).filter( function ( candidate ) {
+			candidate.url = TokenSanitizer.cleanUrl( conf, candidate.url, 'external' );
+			// Candidates are alternatives to src, so they follow its rules
+			if ( candidate.url === null || !TokenSanitizer.allowsHost( conf, tag, 'src', candidate.url ) ) {
+				return false;
 			}
-			host = TokenSanitizer.stripIDNs( bits[ 2 ] );
-			let match = /^%5B([0-9A-Fa-f:.]+)%5D((:\d+)?)$/.exec( host );
-			if ( match ) {
-				// IPv6 host names
-				host = '[' + match[ 1 ] + ']' + match[ 2 ];
+			candidate.url = TokenSanitizer.applyIdnPolicy( conf, candidate.url ).href;
+			return candidate.url !== null;
+		} );
+		return SrcsetParser.serialize( candidates );
+	}
+
+	/**
+	 * Apply a LinkPolicy to the sanitized attributes of a link.
+	 *
+	 * @param {LinkPolicy} links
+	 * @param {Object} newAttrs See sanitizeTagAttrs
+	 * @param {string|null} href The cleaned href, if cleanUrl handled it
+	 *  as external
+	 */
+	static decorateLink( links, newAttrs, href ) {
+		let url = href !== null ? TokenSanitizer.parseUrl( href ) : null;
+		let current = {};
+		[ 'rel', 'class', 'target' ].forEach( function ( name ) {
+			let attr = newAttrs[ name ];
+			current[ name ] = attr && attr[ 0 ] !== null ? attr[ 0 ] : null;
+		} );
+		let changes = links.decorate( current, url && url.host );
+		Object.keys( changes ).forEach( function ( name ) {
+			let attr = newAttrs[ name ];
+			if ( attr ) {
+				attr[ 0 ] = changes[ name ];
+				attr[ 3 ] = 'link-policy';
+			} else {
+				// Added attributes have nothing to shadow
+				newAttrs[ name ] = [ changes[ name ], null, name ];
 			}
-			path = bits[ 3 ];
-		} else {
-			proto = '';
-			host = '';
-			path = href;
-		}
-		return proto + host + path;
+		} );
 	}
 
 	/**
@@ -700,6 +655,7 @@ class TokenSanitizer {
 	 * token.dataAttribs object (which is serialized as JSON in a data-parsoid
 	 * attribute in the DOM).
 	 * @param {Object} conf
+	 * @param {SanitizerPolicy} [conf.policy] Defaults to the global config
 	 * @param {Token} token
 	 * @param {boolean} inTemplate
 	 * @return {Token}
@@ -707,9 +663,14 @@ class TokenSanitizer {
 	static sanitizeToken( conf, token, inTemplate ) {
 		var i, l, k, v, kv;
 
+		if ( token.constructor.name === 'CommentTk' ) {
+			return this.sanitizeComment( conf, token );
+		}
+
 		let attribs = token.attribs;
 		let noEndTagSet = SanitizerConstants.noEndTagSet;
-		let tagWhiteList = WikitextConstants.Sanitizer.TagWhiteList;
+		let tagWhiteList = conf.policy ? conf.policy.tagWhiteList :
+			WikitextConstants.Sanitizer.TagWhiteList;
 
 		if ( Util.isHTMLTag( token ) && (
 			!tagWhiteList.has( token.name.toUpperCase() ) ||
@@ -718,7 +679,7 @@ class TokenSanitizer {
 			if ( !inTemplate && token.dataAttribs.tsr ) {
 			// Just get the original token source, so that we can avoid
 			// whitespace differences.
-				token = token.getWTSource( this.conf );
+				token = token.getWTSource( conf );
 			} else if ( token.constructor.name !== 'EndTagTk' ) {
 				// Handle things without a TSR: For example template or extension
 				// content. Whitespace in these is not necessarily preserved.
@@ -771,147 +732,142 @@ class TokenSanitizer {
 	}
 
 	/**
-	 * If the named entity is defined in the HTML 4.0/XHTML 1.0 DTD,
-	 * return the UTF-8 encoding of that character. Otherwise, returns
-	 * pseudo-entity source (eg "&foo;").
+	 * Apply the comment policy from `conf.commentPolicy`:
+	 *
+	 * - 'drop': remove all comments
+	 * - 'escape': keep comments, entity-escaping any sequence that could
+	 *   end the comment early (the default)
+	 * - 'parsoid': keep only Parsoid-style `<!--{...}-->` JSON markers
+	 *
+	 * Conditional comments and comments containing terminator sequences
+	 * are never passed through unchanged, whatever the policy.
+	 *
+	 * @param {Object} conf
+	 * @param {CommentTk} token
+	 * @return {CommentTk|null} The comment to emit, or null to drop it
+	 */
+	static sanitizeComment( conf, token ) {
+		let value = token.value;
+		let policy = conf.commentPolicy || 'escape';
+
+		if ( conditionalCommentRE.test( value ) ) {
+			return null;
+		}
+
+		switch ( policy ) {
+			case 'drop':
+				return null;
+			case 'escape':
+				if ( commentTerminatorRE.test( value ) ) {
+					token.value = value
+						.replace( /-(?=-)/g, '&#45;' )
+						.replace( /^(-?)>/, '$1&gt;' )
+						.replace( /-$/, '&#45;' )
+						.replace( /<!/g, '&lt;!' );
+				}
+				return token;
+			case 'parsoid':
+				if ( !/^\{[^]*\}$/.test( value ) || commentTerminatorRE.test( value ) ) {
+					return null;
+				}
+				try {
+					JSON.parse( value );
+				} catch ( e ) {
+					return null;
+				}
+				return token;
+			default:
+				throw new Error( 'Invalid comment policy: ' + policy );
+		}
+	}
+
+	/**
+	 * If the named entity is defined in HTML5, return the characters it
+	 * stands for. Otherwise, returns pseudo-entity source (eg "&foo;").
 	 *
 	 * @param {string} name
 	 * @return {string}
 	 */
-	// gwicke: Use Util.decodeEntities instead?
 	static decodeEntity( name ) {
-		if ( SanitizerConstants.htmlEntityAliases[ name ] ) {
+		let has = Object.prototype.hasOwnProperty;
+		if ( has.call( SanitizerConstants.htmlEntityAliases, name ) ) {
 			name = SanitizerConstants.htmlEntityAliases[ name ];
 		}
-		let e = SanitizerConstants.htmlEntities[ name ];
-		return e ? Util.codepointToUtf8( e ) : '&' + name + ';';
+		return has.call( SanitizerConstants.htmlEntities, name ) ?
+			SanitizerConstants.htmlEntities[ name ] : '&' + name + ';';
+	}
+
+	/**
+	 * Decode a named character reference the way browsers do: `name;` if
+	 * it is an entity, or else the longest legacy entity `name` starts
+	 * with. In attribute values, legacy entities followed by `=` or an
+	 * alphanumeric are left alone, so that `?a=1&copy=2` stays a query.
+	 *
+	 * @param {string} name The alphanumerics following the `&`
+	 * @param {string} semicolon ';' if one follows them, or ''
+	 * @param {string} next The character after that, or ''
+	 * @param {boolean} inAttribute
+	 * @return {string}
+	 */
+	static decodeNamedReference( name, semicolon, next, inAttribute ) {
+		if ( semicolon ) {
+			let decoded = TokenSanitizer.decodeEntity( name );
+			if ( decoded !== '&' + name + ';' ) {
+				return decoded;
+			}
+		}
+		for ( let length = name.length; length > 0; length-- ) {
+			if ( SanitizerConstants.legacyEntities.has( name.slice( 0, length ) ) ) {
+				let after = length < name.length ? name[ length ] : semicolon || next;
+				if ( inAttribute && /^[=A-Za-z0-9]/.test( after ) ) {
+					break;
+				}
+				return SanitizerConstants.htmlEntities[ name.slice( 0, length ) ] + name.slice( length ) + semicolon;
+			}
+		}
+		return '&' + name + semicolon;
 	}
 
 	/**
-	 * Return UTF-8 string for a codepoint if that is a valid
-	 * character reference, otherwise U+FFFD REPLACEMENT CHARACTER.
-	 * @param {string} codepoint
+	 * Decode a numeric character reference the way browsers do: U+FFFD
+	 * REPLACEMENT CHARACTER for NUL, surrogates and anything past
+	 * U+10FFFF, and windows-1252 for the C1 controls.
+	 * @param {number} codepoint
 	 * @return {string}
 	 */
 	static decodeChar( codepoint ) {
-		if ( Util.validateCodepoint( codepoint ) ) {
-			return Util.codepointToUtf8( codepoint );
-		} else {
+		if ( codepoint === 0 || codepoint > 0x10ffff || ( codepoint >= 0xd800 && codepoint <= 0xdfff ) ) {
 			return SanitizerConstants.UTF8_REPLACEMENT;
+		} else if ( codepoint >= 0x80 && codepoint <= 0x9f ) {
+			return SanitizerConstants.windows1252[ codepoint - 0x80 ];
+		} else {
+			return Util.codepointToUtf8( codepoint );
 		}
 	}
 
 	/**
 	 * Decode any character references, numeric or named entities,
-	 * in the text and return a UTF-8 string.
+	 * in the text and return a UTF-8 string. Numeric references don't
+	 * need a semicolon either.
 	 * @param {Sting} text
+	 * @param {boolean} [inAttribute] Whether the text is an attribute
+	 *  value, see decodeNamedReference
 	 * @return {string}
 	 */
-	static decodeCharReferences( text ) {
-		return text.replace( SanitizerConstants.CHAR_REFS_RE_G, function () {
-			if ( arguments[ 1 ] ) {
-				return TokenSanitizer.decodeEntity( arguments[ 1 ] );
-			} else if ( arguments[ 2 ] ) {
-				return TokenSanitizer.decodeChar( parseInt( arguments[ 2 ], 10 ) );
-			} else if ( arguments[ 3 ] ) {
-				return TokenSanitizer.decodeChar( parseInt( arguments[ 3 ], 16 ) );
+	static decodeCharReferences( text, inAttribute ) {
+		return text.replace( SanitizerConstants.CHAR_REFS_RE_G, function ( m, name, semicolon, dec, hex, amp, offset ) {
+			if ( name ) {
+				return TokenSanitizer.decodeNamedReference( name, semicolon, text.charAt( offset + m.length ), !!inAttribute );
+			} else if ( dec ) {
+				return TokenSanitizer.decodeChar( parseInt( dec, 10 ) );
+			} else if ( hex ) {
+				return TokenSanitizer.decodeChar( parseInt( hex, 16 ) );
 			} else {
-				return arguments[ 4 ];
+				return amp;
 			}
 		} );
 	}
 
-	static normalizeCss( text ) {
-		// Decode character references like &#123;
-		text = TokenSanitizer.decodeCharReferences( text );
-
-		text = text.replace( SanitizerConstants.cssDecodeRE, function cssDecodeCallback() {
-			var c;
-			if ( arguments[ 1 ] !== undefined ) {
-				// Line continuation
-				return '';
-			} else if ( arguments[ 2 ] !== undefined ) {
-				c = Util.codepointToUtf8( parseInt( arguments[ 2 ], 16 ) );
-			} else if ( arguments[ 3 ] !== undefined ) {
-				c = arguments[ 3 ];
-			} else {
-				c = '\\';
-			}
-
-			if ( c === '\n' || c === '"' || c === '\'' || c === '\\' ) {
-				// These characters need to be escaped in strings
-				// Clean up the escape sequence to avoid parsing errors by clients
-				return '\\' + ( c.charCodeAt( 0 ) ).toString( 16 ) + ' ';
-			} else {
-			// Decode unnecessary escape
-				return c;
-			}
-		} );
-
-		// Normalize Halfwidth and Fullwidth Unicode block that IE6 might treat as ascii
-		text = text.replace( /[\uFF00-\uFFEF]/g, function ( u ) {
-			if ( /\uFF3c/.test( u ) ) {
-				return u;
-			} else {
-				let cp = Util.utf8ToCodepoint( u );
-				return String.fromCodePoint( cp - 65248 ); // ASCII range \x21-\x7A
-			}
-		} );
-
-		// Convert more characters IE6 might treat as ascii
-		text = text.replace( /\u0280|\u0274|\u207F|\u029F|\u026A|\u207D|\u208D/g, function ( u ) {
-			return ieReplace.get( u ) || u;
-		} );
-
-		// Remove any comments; IE gets token splitting wrong
-		// This must be done AFTER decoding character references and
-		// escape sequences, because those steps can introduce comments
-		// This step cannot introduce character references or escape
-		// sequences, because it replaces comments with spaces rather
-		// than removing them completely.
-		text = text.replace( /\/\*(.*?)\*\//g, ' ' );
-
-		// Fix up unmatched double-quote and single-quote chars
-		// Full CSS syntax here: http://www.w3.org/TR/CSS21/syndata.html#syntax
-		//
-		// This can be converted to a function and called once for ' and "
-		// but we have to construct 4 different REs anyway
-		text = removeMismatchedQuoteChar( text, '\'' );
-		text = removeMismatchedQuoteChar( text, '"' );
-
-		/* --------- shorter but less efficient alternative to removeMismatchedQuoteChar ------------
-		text = text.replace(/("[^"\n\r\f]*")+|('[^'\n\r\f]*')+|([^'"\n\r\f]+)|"([^"\n\r\f]*)$|'([^'\n\r\f]*)$/g, function() {
-			return arguments[1] || arguments[2] || arguments[3] || arguments[4]|| arguments[5];
-		});
-		* ----------------------------------- */
-
-		// Remove anything after a comment-start token, to guard against
-		// incorrect client implementations.
-		let commentPos = text.indexOf( '/*' );
-		if ( commentPos >= 0 ) {
-			text = text.substr( 0, commentPos );
-		}
-
-		// S followed by repeat, iteration, or prolonged sound marks,
-		// which IE will treat as "ss"
-		text = text.replace( /s(?:\u3031|\u309D|\u30FC|\u30FD|\uFE7C|\uFE7D|\uFF70)/ig, 'ss' );
-
-		return text;
-	}
-
-	static checkCss( text ) {
-		text = TokenSanitizer.normalizeCss( text );
-		// \000-\010\013\016-\037\177 are the octal escape sequences
-		if ( /[\u0000-\u0008\u000B\u000E-\u001F\u007F]/.test( text ) ||
-			text.indexOf( SanitizerConstants.UTF8_REPLACEMENT ) > -1 ) {
-			return '/* invalid control char */';
-		} else if ( insecureRE.test( text ) ) {
-			return '/* insecure input */';
-		} else {
-			return text;
-		}
-	}
-
 	static normalizeSectionIdWhiteSpace( id ) {
 		return id.replace( /[ _]+/g, ' ' ).trim();
 	}
@@ -990,16 +946,39 @@ class TokenSanitizer {
 		k === 'content' && /(?:^|\s)mw:.+?(?=$|\s)/.test( Util.lookup( attrs, 'property' ) );
 	}
 
+	/**
+	 * <link> and <meta> may only carry metadata, as in the PHP sanitizer:
+	 * Parsoid's, with `mw:` values in rel or property, or microdata, with
+	 * itemprop. Anything else, like a stylesheet link, is dropped.
+	 *
+	 * @param {Token} token A sanitized link or meta tag
+	 * @return {boolean}
+	 */
+	static allowsMetadataTag( token ) {
+		let key = token.name === 'link' ? 'rel' : 'property';
+		let value = token.getAttribute( key );
+		if ( value !== null ) {
+			return this.isParsoidAttr( key, value, token.attribs ) &&
+				value.trim().split( /\s+/ ).every( function ( t ) {
+					return /^mw:/.test( t );
+				} );
+		}
+		return token.getAttribute( 'itemprop' ) !== null;
+	}
+
 	static sanitizeTagAttrs( conf, tagName, token, attrs ) {
 		let tag = tagName || token.name;
-		let allowRdfa = SanitizerConstants.globalConfig.allowRdfaAttrs;
-		let allowMda = SanitizerConstants.globalConfig.allowMicrodataAttrs;
-		let html5Mode = SanitizerConstants.globalConfig.html5Mode;
+		let config = conf.policy || SanitizerConstants.globalConfig;
+		let allowRdfa = config.allowRdfaAttrs;
+		let allowMda = config.allowMicrodataAttrs;
+		let html5Mode = config.html5Mode;
 		let xmlnsRE = SanitizerConstants.XMLNS_ATTRIBUTE_RE;
 		let evilUriRE = SanitizerConstants.EVIL_URI_RE;
 
-		let wlist = this.getAttrWhiteList( tag );
+		let wlist = this.getAttrWhiteList( tag, conf.policy );
 		let newAttrs = {};
+		// The cleaned href of an external link
+		let linkHref = null;
 		let n = attrs.length;
 		for ( let i = 0; i < n; i++ ) {
 			let a = attrs[ i ];
@@ -1016,7 +995,7 @@ class TokenSanitizer {
 			// that or about ids that don't resemble Parsoid types/about ids.
 			if ( !psdAttr ) {
 				if ( !getAttribsRegex.test( k ) ) {
-					newAttrs[ k ] = [ null, origV, origK ];
+					newAttrs[ k ] = [ null, origV, origK, 'attribute-name' ];
 					continue;
 				}
 
@@ -1025,7 +1004,7 @@ class TokenSanitizer {
 					if ( !evilUriRE.test( v ) ) {
 						newAttrs[ k ] = [ v, origV, origK ];
 					} else {
-						newAttrs[ k ] = [ null, origV, origK ];
+						newAttrs[ k ] = [ null, origV, origK, 'evil-uri' ];
 					}
 					continue;
 				}
@@ -1033,19 +1012,29 @@ class TokenSanitizer {
 				// If in HTML5 mode, don't block data-* attributes
 				// (But always block data-ooui attributes for security: T105413)
 				if ( !( html5Mode && ( /^data-(?!ooui)[^:]*$/i ).test( k ) ) && !wlist.has( k ) ) {
-					newAttrs[ k ] = [ null, origV, origK ];
+					newAttrs[ k ] = [ null, origV, origK, 'attribute-whitelist' ];
 					continue;
 				}
 			}
 
-			// Strip javascript "expression" from stylesheets.
-			// http://msdn.microsoft.com/workshop/author/dhtml/overview/recalc.asp
+			// The rule that changed the value, if any, and the details
+			let rule, details;
 			if ( k === 'style' ) {
-				v = TokenSanitizer.checkCss( v );
+				let css = ( conf.policy ? conf.policy.css : defaultCss ).sanitizeStyle( v );
+				if ( css.changes.length ) {
+					if ( !css.css ) {
+						newAttrs[ k ] = [ null, origV, origK, 'css', css.changes ];
+						continue;
+					}
+					rule = 'css';
+					details = css.changes;
+				}
+				v = css.css;
 			}
 
 			if ( k === 'id' ) {
 				v = TokenSanitizer.escapeIdForAttribute( v );
+				rule = 'id';
 			}
 
 			// RDFa and microdata properties allow URLs, URIs and/or CURIs.
@@ -1055,14 +1044,14 @@ class TokenSanitizer {
 				if ( evilUriRE.test( v ) ) {
 				// Retain the Parsoid typeofs for Parsoid attrs
 					let newV = psdAttr ? origV.replace( /(?:^|\s)(?!mw:\w)[^\s]*/g, '' ).trim() : null;
-					newAttrs[ k ] = [ newV, origV, origK ];
+					newAttrs[ k ] = [ newV, origV, origK, 'evil-uri' ];
 					continue;
 				}
 			}
 
 			// NOTE: Even though elements using href/src are not allowed directly,
 			// supply validation code that can be used by tag hook handlers, etc
-			if ( token && ( k === 'href' || k === 'src' || k === 'poster' ) ) { // T163583
+			if ( token && ( k === 'href' || k === 'src' || k === 'poster' || k === 'cite' ) ) { // T163583
 			// `origV` will always be `v`, because `a.vsrc` isn't set, since
 			// this attribute didn't come from source.  However, in the
 			// LinkHandler, we may have already shadowed this value so use
@@ -1072,8 +1061,35 @@ class TokenSanitizer {
 					'wikilink' : 'external';
 				let origHref = token.getAttributeShadowInfo( k ).value;
 				let newHref = TokenSanitizer.cleanUrl( conf, v, mode );
+				if ( newHref !== null && !TokenSanitizer.allowsHost( conf, tag, k, newHref ) ) {
+					newAttrs[ k ] = [ null, origHref, origK, 'url-host' ];
+					continue;
+				}
+				let idn = newHref !== null ? TokenSanitizer.applyIdnPolicy( conf, newHref ) : null;
+				if ( idn && idn.href === null ) {
+					newAttrs[ k ] = [ null, origHref, origK, 'url-idn' ];
+					continue;
+				}
+				newHref = idn ? idn.href : newHref;
+				if ( k === 'href' ) {
+					linkHref = mode === 'external' ? newHref : null;
+				}
+				if ( idn && idn.flagged ) {
+					newAttrs[ k ] = [ newHref, origHref, origK, 'url-idn', [
+						{ value: v, action: 'flagged', rule: 'url-idn' }
+					] ];
+					continue;
+				}
 				if ( newHref !== v ) {
-					newAttrs[ k ] = [ newHref, origHref, origK ];
+					newAttrs[ k ] = [ newHref, origHref, origK, newHref === null ? 'url-protocol' : 'url' ];
+					continue;
+				}
+			}
+
+			if ( token && k === 'srcset' ) {
+				let newSrcset = TokenSanitizer.cleanSrcset( conf, v, tag );
+				if ( newSrcset !== v ) {
+					newAttrs[ k ] = [ newSrcset || null, origV, origK, 'srcset' ];
 					continue;
 				}
 			}
@@ -1085,19 +1101,23 @@ class TokenSanitizer {
 			// SSS FIXME: This logic is not RT-friendly.
 			// If this attribute was previously set, override it.
 			// Output should only have one attribute of each name.
-			newAttrs[ k ] = [ v, origV, origK ];
+			newAttrs[ k ] = [ v, origV, origK, rule, details ];
 
 			if ( !allowMda ) {
 			// itemtype, itemid, itemref don't make sense without itemscope
 				if ( newAttrs.itemscope === undefined ) {
 				// SSS FIXME: This logic is not RT-friendly.
-					newAttrs.itemtype = undefined;
-					newAttrs.itemid = undefined;
+					delete newAttrs.itemtype;
+					delete newAttrs.itemid;
 				}
 			// TODO: Strip itemprop if we aren't descendants of an itemscope.
 			}
 		}
 
+		if ( tag === 'a' && conf.policy ) {
+			this.decorateLink( conf.policy.links, newAttrs, linkHref );
+		}
+
 		// SSS FIXME: We are right now adding shadow information for all sanitized
 		// attributes.  This is being done to minimize dirty diffs for the first
 		// cut.  It can be reasonably argued that we can permanently delete dangerous
@@ -1108,12 +1128,28 @@ class TokenSanitizer {
 		// Reset token attribs and rebuild
 		token.attribs = [];
 		Object.keys( newAttrs ).forEach( function ( j ) {
-			var vs = newAttrs[ j ];
+			var vs = newAttrs[ j ],
+				name = j;
 			// explicit check against null to prevent discarding empty strings
 			if ( vs[ 0 ] !== null ) {
 				token.addNormalizedAttribute( j, vs[ 0 ], vs[ 1 ] );
 			} else {
-				token.setShadowInfo( vs[ 2 ], vs[ 0 ], vs[ 1 ] );
+				name = vs[ 2 ];
+				token.setShadowInfo( name, vs[ 0 ], vs[ 1 ] );
+			}
+			// Record which sanitizer rule changed the attribute, for reports
+			// (or which flagged it, if it has details but no shadow)
+			if ( vs[ 3 ] && ( vs[ 4 ] || ( token.dataAttribs.a && token.dataAttribs.a[ name ] !== undefined ) ) ) {
+				if ( !token.dataAttribs.sr ) {
+					token.dataAttribs.sr = {};
+				}
+				token.dataAttribs.sr[ name ] = vs[ 3 ];
+				if ( vs[ 4 ] ) {
+					if ( !token.dataAttribs.sd ) {
+						token.dataAttribs.sd = {};
+					}
+					token.dataAttribs.sd[ name ] = vs[ 4 ];
+				}
 			}
 		} );
 	}
@@ -1121,5 +1157,7 @@ class TokenSanitizer {
 }
 
 TokenSanitizer.attrWhiteListCache = {};
+TokenSanitizer.globalConfig = SanitizerConstants.globalConfig;
+TokenSanitizer.computeAttrWhiteList = computeAttrWhiteList;
 
 module.exports = TokenSanitizer;
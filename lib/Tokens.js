@@ -221,12 +221,16 @@ class Token {
 	 * Get the wikitext source of a token.
 	 *
 	 * @param {MWParserEnvironment} env
+	 * @param {string} env.page.src
+	 * @param {number} [env.page.srcOffset] Offset of `src` in the whole
+	 *  input, if it only holds part of it
 	 * @return {string}
 	 */
 	getWTSource( env ) {
-		var tsr = this.dataAttribs.tsr;
+		var tsr = this.dataAttribs.tsr,
+			offset = env.page.srcOffset || 0;
 		console.assert( Array.isArray( tsr ), 'Expected token to have tsr info.' );
-		return env.page.src.substring( tsr[ 0 ], tsr[ 1 ] );
+		return env.page.src.substring( tsr[ 0 ] - offset, tsr[ 1 ] - offset );
 	}
 
 	attributesToString( attribs ) {
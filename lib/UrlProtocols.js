@@ -0,0 +1,38 @@
+/*
+ * Matches URLs against a list of allowed protocols, like MediaWiki's
+ * $wgUrlProtocols. Matching is case-insensitive and anchored at the start
+ * of the URL; TokenSanitizer.cleanUrl normalizes the URL first.
+ */
+
+'use strict';
+
+const Util = require( './utils/Util' );
+
+class UrlProtocols {
+	/**
+	 * @param {string[]} protocols Eg. `[ 'http://', 'mailto:', '//' ]`
+	 */
+	constructor( protocols ) {
+		if ( !Array.isArray( protocols ) || !protocols.length ) {
+			throw new Error( 'Invalid protocol list: ' + protocols );
+		}
+		protocols.forEach( function ( proto ) {
+			if ( typeof proto !== 'string' || !proto || !/^(?:[a-z][a-z0-9+.-]*:)?(?:\/\/)?$/i.test( proto ) ) {
+				throw new Error( 'Invalid protocol: ' + proto );
+			}
+		} );
+		this.protocols = Object.freeze( protocols.slice() );
+		this.regexp = new RegExp( '^(?:' + protocols.map( Util.escapeRegExp ).join( '|' ) + ')', 'i' );
+		Object.freeze( this );
+	}
+
+	/**
+	 * @param {string} url A URL, or just its protocol
+	 * @return {boolean}
+	 */
+	test( url ) {
+		return this.regexp.test( url );
+	}
+}
+
+module.exports = UrlProtocols;
@@ -0,0 +1,137 @@
+/*
+ * Resolves the relative URLs of HTML that is moved away from the page it
+ * was made for, eg. content translated from one wiki to another.
+ *
+ * - Relative URLs are resolved against the URL of the source page.
+ * - Wikilinks (`./Title`, `../Title`), which Parsoid makes relative to
+ *   the page, are turned into titles and put into the article path of
+ *   the source wiki, eg. `/wiki/$1` or `/w/index.php?title=$1`.
+ * - Protocol-relative URLs can be given a scheme, since they would
+ *   otherwise take the one of whatever page they end up on.
+ */
+
+'use strict';
+
+const URL = require( 'url' ).URL;
+
+// Stand-in origin for resolving wikilinks as titles
+const titleOrigin = 'https://wiki.invalid/';
+
+function parse( href ) {
+	try {
+		return new URL( href );
+	} catch ( e ) {
+		return null;
+	}
+}
+
+class UrlResolver {
+	/**
+	 * @param {Object} [options]
+	 * @param {string|null} [options.base] Absolute http(s) URL of the page
+	 *  the HTML comes from
+	 * @param {string|null} [options.articlePath] Path of wiki pages, with
+	 *  `$1` standing for the title. Without it, wikilinks are resolved like
+	 *  other relative URLs.
+	 * @param {string|null} [options.scheme] Scheme for protocol-relative
+	 *  URLs, eg. 'https'. Without it, they are left alone.
+	 */
+	constructor( options ) {
+		options = Object.assign( {}, UrlResolver.defaults, options );
+		this.base = options.base;
+		if ( this.base !== null ) {
+			let base = typeof this.base === 'string' && /^https?:\/\//i.test( this.base ) && parse( this.base );
+			if ( !base ) {
+				throw new Error( 'Invalid base URL: ' + this.base );
+			}
+		}
+		this.articlePath = options.articlePath;
+		if ( this.articlePath !== null && ( typeof this.articlePath !== 'string' ||
+			!/^\/[^$]*\$1[^$]*$/.test( this.articlePath ) )
+		) {
+			throw new Error( 'Invalid article path: ' + this.articlePath );
+		}
+		this.scheme = options.scheme;
+		if ( this.scheme !== null && !/^[a-z][a-z0-9+.-]*$/i.test( this.scheme ) ) {
+			throw new Error( 'Invalid scheme: ' + this.scheme );
+		}
+		if ( this.scheme !== null ) {
+			this.scheme = this.scheme.toLowerCase();
+		}
+		Object.freeze( this );
+	}
+
+	/**
+	 * @return {Object} The options this resolver was built from
+	 */
+	toOptions() {
+		return {
+			base: this.base,
+			articlePath: this.articlePath,
+			scheme: this.scheme
+		};
+	}
+
+	/**
+	 * @return {string} The title of the base page, if its URL is in the
+	 *  article path, or ''
+	 */
+	baseTitle() {
+		if ( this.base === null || this.articlePath === null ) {
+			return '';
+		}
+		let base = parse( this.base );
+		let path = base.pathname + base.search;
+		let parts = this.articlePath.split( '$1' );
+		if ( path.length >= parts[ 0 ].length + parts[ 1 ].length &&
+			path.startsWith( parts[ 0 ] ) && path.endsWith( parts[ 1 ] )
+		) {
+			return path.slice( parts[ 0 ].length, path.length - parts[ 1 ].length );
+		}
+		return '';
+	}
+
+	/**
+	 * @param {string} href A relative wikilink, eg. `./Foo?action=edit#x`
+	 * @return {string} The URL of the page in the article path
+	 */
+	articleUrl( href ) {
+		let m = /^([^?#]*)(\?[^#]*)?(#.*)?$/.exec( href );
+		let title = new URL( m[ 1 ], titleOrigin + this.baseTitle() ).pathname.slice( 1 )
+			// `.//evil.com` would otherwise make `//evil.com` of `/$1`
+			.replace( /^\//, '%2F' )
+			// and `&` or `+` would change the query of `/w/index.php?title=$1`
+			.replace( /&/g, '%26' ).replace( /\+/g, '%2B' );
+		let url = this.articlePath.replace( '$1', function () {
+			return title;
+		} );
+		if ( m[ 2 ] ) {
+			url += ( /\?/.test( url ) ? '&' : '?' ) + m[ 2 ].slice( 1 );
+		}
+		return url + ( m[ 3 ] || '' );
+	}
+
+	/**
+	 * @param {Object} url Result of TokenSanitizer.parseUrl
+	 * @param {string} mode 'wikilink' or 'external', see cleanUrl
+	 * @return {string} The resolved URL
+	 */
+	resolve( url, mode ) {
+		if ( url.scheme ) {
+			return url.href;
+		} else if ( url.url ) {
+			// Protocol-relative
+			return this.scheme ? this.scheme + ':' + url.href : url.href;
+		}
+		let href = mode === 'wikilink' && this.articlePath !== null ? this.articleUrl( url.href ) : url.href;
+		return this.base !== null ? new URL( href, this.base ).href : href;
+	}
+}
+
+UrlResolver.defaults = Object.freeze( {
+	base: null,
+	articlePath: null,
+	scheme: null
+} );
+
+module.exports = UrlResolver;
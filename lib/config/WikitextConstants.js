@@ -96,7 +96,18 @@ const WikitextConstants = {
 			'U', 'UL',
 			'VAR',
 			'WBR'
-		] )
+		] ),
+
+		// URL schemes allowed in links, modelled on MediaWiki's
+		// $wgUrlProtocols. Entries without `//` match any URL with that
+		// scheme; '//' allows protocol-relative URLs.
+		UrlProtocols: [
+			'bitcoin:', 'ftp://', 'ftps://', 'geo:', 'git://', 'gopher://',
+			'http://', 'https://', 'irc://', 'ircs://', 'magnet:', 'mailto:',
+			'mms://', 'news:', 'nntp://', 'redis://', 'sftp://', 'sip:',
+			'sips:', 'sms:', 'ssh://', 'svn://', 'tel:', 'telnet://', 'urn:',
+			'worldwind://', 'xmpp:', '//'
+		]
 	},
 
 	// These HTML tags have native wikitext representations.
@@ -269,6 +280,14 @@ const WikitextConstants = {
 			'AREA', 'BASE', 'BR', 'COL', 'COMMAND', 'EMBED', 'HR', 'IMG',
 			'INPUT', 'KEYGEN', 'LINK', 'META', 'PARAM', 'SOURCE',
 			'TRACK', 'WBR'
+		] ),
+
+		// Elements whose content is not parsed as markup and in which
+		// character references are not decoded.
+		// See https://html.spec.whatwg.org/multipage/parsing.html#parsing-html-fragments
+		RawTextTags: new Set( [
+			'IFRAME', 'NOEMBED', 'NOFRAMES', 'NOSCRIPT', 'PLAINTEXT',
+			'SCRIPT', 'STYLE', 'XMP'
 		] )
 	},
 
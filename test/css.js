@@ -0,0 +1,347 @@
+/* global describe, it */
+
+'use strict';
+
+require( 'chai' ).should();
+
+const CSSParser = require( '../lib/CSSParser' ),
+	CSSSanitizer = require( '../lib/CSSSanitizer' ),
+	CSSTokenizer = require( '../lib/CSSTokenizer' ),
+	DOMSanitizer = require( '../lib/DOMSanitizer' ),
+	PolicyBuilder = require( '../lib/PolicyBuilder' ),
+	PolicyPresets = require( '../lib/PolicyPresets' );
+
+function types( css ) {
+	return CSSTokenizer.tokenize( css ).map( function ( token ) {
+		return token.type;
+	} );
+}
+
+function style( css, options ) {
+	return new CSSSanitizer( options ).sanitizeStyle( css ).css;
+}
+
+describe( 'CSSTokenizer', function () {
+	it( 'should tokenize declarations', function () {
+		types( 'color: red; margin:-1.5em 10% !important' ).should.deep.equal( [
+			'ident', ':', 'whitespace', 'ident', ';', 'whitespace',
+			'ident', ':', 'dimension', 'whitespace', 'percentage', 'whitespace', 'delim', 'ident'
+		] );
+	} );
+
+	it( 'should decode escapes', function () {
+		let tokens = CSSTokenizer.tokenize( '\\65 xpr\\65ssion(' );
+		tokens.should.deep.equal( [ { type: 'function', value: 'expression' } ] );
+		CSSTokenizer.tokenize( '"a\\"b\\\nc"' )[ 0 ].value.should.equal( 'a"bc' );
+		CSSTokenizer.tokenize( '\\0' )[ 0 ].value.should.equal( '\uFFFD' );
+	} );
+
+	it( 'should drop comments', function () {
+		types( 'a/* x */b /* unterminated' ).should.deep.equal( [ 'ident', 'ident', 'whitespace' ] );
+	} );
+
+	it( 'should tell url tokens from url functions', function () {
+		CSSTokenizer.tokenize( 'url( x.png )' ).should.deep.equal( [ { type: 'url', value: 'x.png' } ] );
+		types( 'url("x.png")' ).should.deep.equal( [ 'function', 'string', ')' ] );
+		types( 'url(x y) z' ).should.deep.equal( [ 'bad-url', 'whitespace', 'ident' ] );
+	} );
+
+	it( 'should handle bad strings and numbers', function () {
+		types( '"abc\ndef' ).should.deep.equal( [ 'bad-string', 'whitespace', 'ident' ] );
+		CSSTokenizer.tokenize( '1e3' )[ 0 ].should.include( { type: 'number', value: 1000, integer: false } );
+		CSSTokenizer.tokenize( '1em' )[ 0 ].should.include( { type: 'dimension', unit: 'em' } );
+	} );
+} );
+
+describe( 'CSSParser', function () {
+	it( 'should parse declaration lists', function () {
+		let parsed = CSSParser.parseDeclarationList( 'Color : red ; @foo x; bogus; margin: 0 !IMPORTANT' );
+		parsed.declarations.map( function ( d ) {
+			return [ d.name, CSSParser.serialize( d.value ), d.important ];
+		} ).should.deep.equal( [
+			[ 'color', 'red', false ],
+			[ 'margin', '0', true ]
+		] );
+		parsed.invalid.length.should.equal( 1 );
+		parsed.atRules[ 0 ].name.should.equal( 'foo' );
+	} );
+
+	it( 'should not split declarations inside blocks', function () {
+		let parsed = CSSParser.parseDeclarationList( 'a: f(x; y); b: 1' );
+		parsed.declarations.length.should.equal( 2 );
+		parsed.declarations[ 0 ].value[ 0 ].type.should.equal( 'function' );
+	} );
+
+	it( 'should serialize escaped identifiers and strings', function () {
+		CSSParser.serialize( CSSParser.parseComponentValues( '\\31 a "x\\"<" -\\- url(a\\)b)' ) )
+			.should.equal( '\\31 a "x\\"\\3c " -- url("a)b")' );
+	} );
+} );
+
+describe( 'CSSSanitizer', function () {
+	it( 'should keep allowed declarations', function () {
+		style( 'color:red;margin : 0 auto ; font-family: "A B",serif; border: 1px solid #abc' )
+			.should.equal( 'color: red; margin: 0 auto; font-family: "A B", serif; border: 1px solid #abc;' );
+		style( 'background-color: rgba(0, 0, 0, .5); transform: rotate(45deg) !important' )
+			.should.equal( 'background-color: rgba(0, 0, 0, 0.5); transform: rotate(45deg) !important;' );
+		style( 'counter-reset: mw-Ref 1; counter-increment: a b -2; counter-reset: 1' )
+			.should.equal( 'counter-reset: mw-Ref 1; counter-increment: a b -2;' );
+	} );
+
+	it( 'should only drop the offending declarations', function () {
+		let result = new CSSSanitizer().sanitizeStyle(
+			'color: red; background: url(evil.png); width: expression(alert(1)); foo: 1; padding: -1px'
+		);
+		result.css.should.equal( 'color: red;' );
+		result.changes.should.deep.equal( [
+			{ property: 'background', value: 'url("evil.png")', action: 'dropped', rule: 'css-url' },
+			{ property: 'width', value: 'expression(alert(1))', action: 'dropped', rule: 'css-value' },
+			{ property: 'foo', value: '1', action: 'dropped', rule: 'css-property' },
+			{ property: 'padding', value: '-1px', action: 'dropped', rule: 'css-value' }
+		] );
+	} );
+
+	it( 'should not be fooled by escapes and comments', function () {
+		style( 'color: \\65xpression(1); width: e/**/xpression(1); w\\69 dth: 1px' )
+			.should.equal( 'width: 1px;' );
+		style( 'font-family: "\\3c /style>"' ).should.equal( 'font-family: "\\3c /style\\3e ";' );
+	} );
+
+	it( 'should accept global keywords', function () {
+		style( 'color: inherit; margin: initial initial' ).should.equal( 'color: inherit;' );
+	} );
+
+	it( 'should only allow configured properties', function () {
+		style( 'color: red; width: 1px', { properties: [ 'Color', 'nope' ] } )
+			.should.equal( 'color: red;' );
+		( function () {
+			style( '', { properties: 'color' } );
+		} ).should.throw( 'Invalid CSS property list: color' );
+	} );
+
+	it( 'should be used for style attributes', function () {
+		new DOMSanitizer().sanitizeHTML( '<b style="color:red;behavior:url(x.htc)">b</b><i style="x:1">i</i>' )
+			.should.equal( '<b style="color: red;">b</b><i>i</i>' );
+		let policy = new PolicyBuilder( { cssProperties: [ 'width' ] } ).build();
+		new DOMSanitizer( { policy: policy } ).sanitizeHTML( '<b style="color:red;width:1px">b</b>' )
+			.should.equal( '<b style="width: 1px;">b</b>' );
+	} );
+
+	it( 'should report removed declarations', function () {
+		new DOMSanitizer().validate( '<b style="color: red">b</b>' ).safe.should.equal( true );
+		new DOMSanitizer().validate( '<b style="color: red; top: x">b</b>' ).violations.should.deep.equal( [ {
+			element: 'b',
+			attribute: 'style',
+			value: 'top: x',
+			action: 'dropped',
+			rule: 'css-value',
+			line: 1,
+			column: 1
+		} ] );
+	} );
+} );
+
+describe( 'CSSLayoutRules', function () {
+	it( 'should drop fixed and absolute positioning', function () {
+		style( 'position: fixed; top: 0' ).should.equal( 'top: 0;' );
+		style( 'position: absolute' ).should.equal( '' );
+		style( 'position: relative' ).should.equal( 'position: relative;' );
+		style( 'position: absolute', { layout: { positions: [ 'absolute' ] } } ).should.equal( 'position: absolute;' );
+		style( 'position: fixed', { layout: { positions: null } } ).should.equal( 'position: fixed;' );
+	} );
+
+	it( 'should not let elements cover the page', function () {
+		new DOMSanitizer( { preset: 'parsoid' } ).sanitizeHTML( '<div style="position:absolute;top:0;left:0;' +
+			'width:100vw;height:100vh;z-index:100;background:white">x</div>' )
+			.should.equal( '<div style="top: 0; left: 0; width: 100vw; height: 100vh; z-index: 100; background: white;">x</div>' );
+	} );
+
+	it( 'should clamp z-index', function () {
+		style( 'z-index: 99999' ).should.equal( 'z-index: 100;' );
+		style( 'z-index: -99999' ).should.equal( 'z-index: -100;' );
+		style( 'z-index: 5; z-index: auto' ).should.equal( 'z-index: 5; z-index: auto;' );
+		style( 'z-index: 99999', { layout: { maxZIndex: 10 } } ).should.equal( 'z-index: 10;' );
+	} );
+
+	it( 'should clamp negative margins', function () {
+		style( 'margin: -1em 0 -9999px -2in' ).should.equal( 'margin: -1em 0 -100px -100px;' );
+		style( 'margin-top: -1vh; margin-left: 9999px' ).should.equal( 'margin-top: -100px; margin-left: 9999px;' );
+		style( 'margin: -5px', { layout: { maxOffset: 0 } } ).should.equal( 'margin: 0;' );
+	} );
+
+	it( 'should clamp transforms', function () {
+		style( 'transform: translate(-5000px, 10px) scale(50) rotate(10deg)' )
+			.should.equal( 'transform: translate(-100px, 10px) scale(2) rotate(10deg);' );
+		style( 'transform: none' ).should.equal( 'transform: none;' );
+	} );
+
+	it( 'should report what it changed', function () {
+		new CSSSanitizer().sanitizeStyle( 'position: fixed; z-index: 1000; color: red' ).changes
+			.should.deep.equal( [
+				{ property: 'position', value: 'fixed', action: 'dropped', rule: 'css-layout' },
+				{ property: 'z-index', value: '1000', action: 'rewritten', rule: 'css-layout' }
+			] );
+		new DOMSanitizer().validate( '<div style="z-index:1000">x</div>' ).violations.map( function ( v ) {
+			return [ v.attribute, v.value, v.action, v.rule ].join( ' ' );
+		} ).should.deep.equal( [ 'style z-index: 1000 rewritten css-layout' ] );
+	} );
+
+	it( 'should be configurable per policy', function () {
+		let policy = PolicyPresets.build( 'wikitext', { cssLayout: { maxZIndex: null } } );
+		new DOMSanitizer( { policy: policy } ).sanitizeHTML( '<b style="z-index:1000;position:fixed">b</b>' )
+			.should.equal( '<b style="z-index: 1000;">b</b>' );
+		let strict = new PolicyBuilder( PolicyPresets.build( 'inline' ) ).allowAttributes( 'b', 'style' ).build();
+		new DOMSanitizer( { policy: strict } ).sanitizeHTML( '<b style="z-index:1;margin:-1px">b</b>' )
+			.should.equal( '<b style="z-index: 0; margin: 0;">b</b>' );
+	} );
+} );
+
+describe( 'CSSUrlPolicy', function () {
+	let urls = {
+		allowed: [ 'https://upload.example.org/wikipedia/', 'https://static.example.org/images' ],
+		base: 'https://en.example.org/wiki/Foo'
+	};
+
+	it( 'should drop url()s by default', function () {
+		style( 'background-image: url(https://upload.example.org/wikipedia/x.png); color: red' )
+			.should.equal( 'color: red;' );
+	} );
+
+	it( 'should allow URLs below the allowed locations', function () {
+		style( 'background-image: url(https://upload.example.org/wikipedia/x.png)', { urls: urls } )
+			.should.equal( 'background-image: url("https://upload.example.org/wikipedia/x.png");' );
+		style( 'background: #fff url( "//STATIC.example.org/images/a/../b.png" ) no-repeat', { urls: urls } )
+			.should.equal( 'background: #fff url("https://static.example.org/images/b.png") no-repeat;' );
+		style( 'list-style-image: url(../images/x.png)', { urls: { allowed: urls.allowed, base: 'https://static.example.org/a/' } } )
+			.should.equal( 'list-style-image: url("https://static.example.org/images/x.png");' );
+	} );
+
+	it( 'should reject everything else', function () {
+		[
+			'https://evil.example.org/x.png',
+			'https://upload.example.org/wikipedia/../x.png',
+			'https://upload.example.org/wikipedia%2f..%2fx.png',
+			'https://static.example.org/imagesx/y.png',
+			'http://user@upload.example.org/wikipedia/x.png',
+			'/wikipedia/x.png',
+			// eslint-disable-next-line no-script-url
+			'javascript:alert(1)//'
+		].forEach( function ( url ) {
+			new CSSSanitizer( { urls: urls } ).sanitizeStyle( 'background-image: url("' + url + '")' ).changes
+				.should.deep.equal( [ {
+					property: 'background-image',
+					value: CSSParser.serialize( [ { type: 'url', value: url } ] ),
+					action: 'dropped',
+					rule: 'css-url'
+				} ], url );
+		} );
+	} );
+
+	it( 'should decode escapes before checking', function () {
+		style( 'background-image: u\\72l(https://upload.example.org/wikipedia/\\78.png)', { urls: urls } )
+			.should.equal( 'background-image: url("https://upload.example.org/wikipedia/x.png");' );
+		style( 'background-image: url(https://evil\\2e example.org/wikipedia/x.png)', { urls: urls } )
+			.should.equal( '' );
+	} );
+
+	it( 'should check every image in image-set()', function () {
+		style( 'background-image: image-set("https://upload.example.org/wikipedia/a.png" 1x, ' +
+			'url(https://upload.example.org/wikipedia/b.png) 2x)', { urls: urls } )
+			.should.equal( 'background-image: image-set(url("https://upload.example.org/wikipedia/a.png") 1x, ' +
+				'url("https://upload.example.org/wikipedia/b.png") 2x);' );
+		style( 'background-image: image-set("https://upload.example.org/wikipedia/a.png" 1x, ' +
+			'"https://evil.example.org/b.png" 2x)', { urls: urls } )
+			.should.equal( '' );
+	} );
+
+	it( 'should be configurable per policy', function () {
+		let sanitizer = new DOMSanitizer( { policy: { cssUrls: urls } } );
+		sanitizer.sanitizeHTML( '<div style="background-image:url(https://upload.example.org/wikipedia/x.png)"></div>' )
+			.should.equal( '<div style="background-image: url(&quot;https://upload.example.org/wikipedia/x.png&quot;);"></div>' );
+		sanitizer.validate( '<div style="background:url(https://evil.example.org/x.png)"></div>' )
+			.violations[ 0 ].rule.should.equal( 'css-url' );
+	} );
+} );
+
+describe( 'Stylesheets', function () {
+	const options = { wrapperClass: 'mw-parser-output', atRules: [ 'media' ] };
+
+	function sheet( css, atRules, sanitizerOptions ) {
+		return new CSSSanitizer( sanitizerOptions ).sanitizeStylesheet(
+			css, atRules ? { wrapperClass: 'mw-parser-output', atRules: atRules } : options
+		);
+	}
+
+	it( 'should scope selectors under the wrapper class', function () {
+		sheet( 'a, .b > #c:hover, td:nth-child(2n+1), [lang|="en"] { color: red }' ).css
+			.should.equal( '.mw-parser-output a, .mw-parser-output .b > #c:hover, ' +
+				'.mw-parser-output td:nth-child(2n+1), .mw-parser-output [lang|="en"] { color: red; }' );
+	} );
+
+	it( 'should apply the declaration rules', function () {
+		let result = sheet( 'p { color: red; position: fixed; behavior: url(x.htc); z-index: 9999 }' );
+		result.css.should.equal( '.mw-parser-output p { color: red; z-index: 100; }' );
+		result.changes.map( function ( change ) {
+			return change.rule;
+		} ).should.deep.equal( [ 'css-layout', 'css-property', 'css-layout' ] );
+	} );
+
+	it( 'should drop rules with nothing left', function () {
+		sheet( 'p { behavior: url(x.htc) } q { color: red }' ).css
+			.should.equal( '.mw-parser-output q { color: red; }' );
+		sheet( 'p color: red' ).changes[ 0 ].rule.should.equal( 'css-syntax' );
+	} );
+
+	it( 'should drop selectors beyond plain selector syntax', function () {
+		let result = sheet( 'a, b[x=url(y)], :-moz-any(p) { color: red }' );
+		result.css.should.equal( '.mw-parser-output a { color: red; }' );
+		result.changes.map( function ( change ) {
+			return change.value;
+		} ).should.deep.equal( [ 'b[x=url("y")]', ':-moz-any(p)' ] );
+	} );
+
+	it( 'should drop selectors that start with a combinator', function () {
+		let result = sheet( '~ *, + div, > p, p ~ q, p:has(> q) { color: red }' );
+		result.css.should.equal( '.mw-parser-output p ~ q, .mw-parser-output p:has(> q) { color: red; }' );
+		result.changes.map( function ( change ) {
+			return change.value + ' ' + change.rule;
+		} ).should.deep.equal( [ '~ * css-selector', '+ div css-selector', '> p css-selector' ] );
+	} );
+
+	it( 'should only keep allowed at-rules', function () {
+		let css = '@media screen and (max-width: 720px) { p { color: red } } ' +
+			'@supports (display: flex) { p { display: block } } ' +
+			'@import "https://upload.example.org/a.css"; ' +
+			'@font-face { font-family: "A"; src: url(https://upload.example.org/a.woff) format("woff") }';
+		let result = sheet( css );
+		result.css.should.equal( '@media screen and (max-width: 720px) { .mw-parser-output p { color: red; } }' );
+		result.changes.map( function ( change ) {
+			return change.rule;
+		} ).should.deep.equal( [ 'css-at-rule', 'css-at-rule', 'css-at-rule' ] );
+		result = sheet( css, CSSSanitizer.atRules, { urls: { allowed: [ 'https://upload.example.org/' ] } } );
+		result.changes.should.deep.equal( [] );
+		result.css.should.equal( [
+			'@media screen and (max-width: 720px) { .mw-parser-output p { color: red; } }',
+			'@supports (display: flex) { .mw-parser-output p { display: block; } }',
+			'@import url("https://upload.example.org/a.css");',
+			'@font-face { font-family: "A"; src: url("https://upload.example.org/a.woff") format("woff"); }'
+		].join( '\n' ) );
+	} );
+
+	it( 'should check what at-rules contain', function () {
+		let result = sheet( '@media (min-width: calc(1px)) { p { color: red } } ' +
+			'@import "https://evil.example.org/a.css"; ' +
+			'@font-face { font-family: A; unicode-range: U+0-7F; src: local(x) }',
+		CSSSanitizer.atRules );
+		result.css.should.equal( '@font-face { font-family: A; }' );
+		result.changes.map( function ( change ) {
+			return change.rule;
+		} ).should.deep.equal( [ 'css-at-rule', 'css-url', 'css-property', 'css-value' ] );
+		sheet( '@media print { @import "x"; }' ).changes[ 0 ].rule.should.equal( 'css-at-rule' );
+	} );
+
+	it( 'should not let the stylesheet close its element', function () {
+		let result = sheet( 'p { font-family: "</style><script>" }' );
+		result.css.should.equal( '.mw-parser-output p { font-family: "\\3c /style\\3e \\3c script\\3e "; }' );
+	} );
+} );
@@ -0,0 +1,562 @@
+/* global describe, it */
+
+'use strict';
+
+require( 'chai' ).should();
+
+const CSSLayoutRules = require( '../lib/CSSLayoutRules' ),
+	CSSUrlPolicy = require( '../lib/CSSUrlPolicy' ),
+	DOMSanitizer = require( '../lib/DOMSanitizer' ),
+	HostPolicy = require( '../lib/HostPolicy' ),
+	IdnPolicy = require( '../lib/IdnPolicy' ),
+	LinkPolicy = require( '../lib/LinkPolicy' ),
+	PolicyBuilder = require( '../lib/PolicyBuilder' ),
+	PolicyPresets = require( '../lib/PolicyPresets' );
+
+function sanitize( html, policy ) {
+	return new DOMSanitizer( { policy: policy } ).sanitizeHTML( html );
+}
+
+describe( 'PolicyBuilder', function () {
+	it( 'should start from the wikitext policy', function () {
+		let policy = new PolicyBuilder().build();
+		policy.allowsTag( 'b' ).should.equal( true );
+		policy.allowsTag( 'a' ).should.equal( false );
+		policy.getAttrWhiteList( 'a' ).has( 'href' ).should.equal( true );
+	} );
+
+	it( 'should allow and deny tags', function () {
+		let policy = new PolicyBuilder()
+			.allowTags( [ 'Figure' ] )
+			.denyTags( 'font' )
+			.build();
+		policy.allowsTag( 'figure' ).should.equal( true );
+		policy.allowsTag( 'font' ).should.equal( false );
+		sanitize( '<figure class="c">x</figure><font>y</font>', policy )
+			.should.equal( '<figure class="c">x</figure>&lt;font&gt;y&lt;/font&gt;' );
+	} );
+
+	it( 'should allow and deny attributes per tag', function () {
+		let policy = new PolicyBuilder()
+			.allowAttributes( 'b', [ 'accesskey' ] )
+			.denyAttributes( 'b', [ 'class' ] )
+			.build();
+		sanitize( '<b accesskey="k" class="c">x</b><i class="c">y</i>', policy )
+			.should.equal( '<b accesskey="k">x</b><i class="c">y</i>' );
+	} );
+
+	it( 'should allow and deny global attributes', function () {
+		let policy = new PolicyBuilder()
+			.allowTags( [ 'figure' ] )
+			.allowGlobalAttributes( [ 'translate' ] )
+			.denyGlobalAttributes( [ 'title' ] )
+			.denyAttributes( 'i', [ 'translate' ] )
+			.build();
+		sanitize( '<figure translate="no" title="t">x</figure><i translate="no">y</i>', policy )
+			.should.equal( '<figure translate="no">x</figure><i>y</i>' );
+	} );
+
+	it( 'should match attribute name patterns', function () {
+		let policy = new PolicyBuilder()
+			.allowGlobalAttributes( [ 'aria-*' ] )
+			.denyAttributes( 'span', [ 'aria-hidden' ] )
+			.build();
+		sanitize( '<b aria-hidden="true" aria-x="1">x</b>', policy )
+			.should.equal( '<b aria-hidden="true" aria-x="1">x</b>' );
+		sanitize( '<span aria-hidden="true" aria-x="1">x</span>', policy )
+			.should.equal( '<span aria-x="1">x</span>' );
+		policy.getAttrWhiteList( 'b' ).has( 'ariax' ).should.equal( false );
+	} );
+
+	it( 'should keep patterns when extending a policy', function () {
+		let base = new PolicyBuilder().allowGlobalAttributes( 'aria-*' ).build();
+		let policy = new PolicyBuilder( base ).denyAttributes( 'b', 'aria-x' ).build();
+		policy.getAttrWhiteList( 'b' ).has( 'aria-y' ).should.equal( true );
+		policy.getAttrWhiteList( 'b' ).has( 'aria-x' ).should.equal( false );
+		base.getAttrWhiteList( 'b' ).has( 'aria-x' ).should.equal( true );
+	} );
+
+	it( 'should validate names', function () {
+		let builder = new PolicyBuilder();
+		( function () {
+			builder.allowTags( [ 'scr ipt' ] );
+		} ).should.throw( 'Invalid tag name: scr ipt' );
+		( function () {
+			builder.allowAttributes( 'b', [ 'on*click' ] );
+		} ).should.throw( 'Invalid attribute name: on*click' );
+		( function () {
+			builder.allowGlobalAttributes( [ 1 ] );
+		} ).should.throw( 'Invalid attribute name: 1' );
+		( function () {
+			builder.denyTags( { b: true } );
+		} ).should.throw( 'Invalid tag list' );
+	} );
+
+	it( 'should not allow event handler attributes', function () {
+		let builder = new PolicyBuilder();
+		[ 'onclick', 'ONLOAD', 'on*', 'onc*', 'o*', '*' ].forEach( function ( attr ) {
+			( function () {
+				builder.allowAttributes( 'b', [ attr ] );
+			} ).should.throw( 'Invalid attribute name: ' + attr.toLowerCase() );
+			( function () {
+				builder.allowGlobalAttributes( [ attr ] );
+			} ).should.throw( 'Invalid attribute name: ' + attr.toLowerCase() );
+		} );
+		let attrs = builder.allowGlobalAttributes( [ 'open*', 'o-*' ] )
+			.denyAttributes( 'b', [ 'onclick' ] )
+			.build().getAttrWhiteList( 'b' );
+		attrs.has( 'opener' ).should.equal( true );
+		attrs.has( 'onclick' ).should.equal( false );
+	} );
+
+	it( 'should not allow attributes whose values it does not clean', function () {
+		let builder = new PolicyBuilder();
+		[ 'srcdoc', 'action', 'FormAction', 'xlink:href', 'data', 'data-ooui', 'data-ooui*', 'form*', 'x*', 'd*' ]
+			.forEach( function ( attr ) {
+				( function () {
+					builder.allowAttributes( 'iframe', [ attr ] );
+				} ).should.throw( 'Invalid attribute name: ' + attr.toLowerCase() );
+				( function () {
+					builder.allowGlobalAttributes( [ attr ] );
+				} ).should.throw( 'Invalid attribute name: ' + attr.toLowerCase() );
+			} );
+	} );
+
+	it( 'should keep data-ooui attributes out of patterns', function () {
+		let policy = new PolicyBuilder().allowGlobalAttributes( [ 'data-*' ] ).build();
+		sanitize( '<b data-x="1" data-ooui="{}" data-oouix="1">x</b>', policy )
+			.should.equal( '<b data-x="1">x</b>' );
+	} );
+
+	it( 'should not allow tags with active content', function () {
+		let builder = new PolicyBuilder();
+		[ 'script', 'Style', 'iframe', 'object', 'embed', 'form', 'base' ].forEach( function ( tag ) {
+			( function () {
+				builder.allowTags( [ tag ] );
+			} ).should.throw( 'Invalid tag name: ' + tag.toLowerCase() );
+		} );
+		builder.denyTags( [ 'script' ] ).build().allowsTag( 'script' ).should.equal( false );
+	} );
+} );
+
+describe( 'PolicyPresets', function () {
+	let parsoidHTML = '<figure typeof="mw:Image"><a href="./File:X.jpg">' +
+		'<img resource="./File:X.jpg" src="//x/X.jpg" /></a></figure>' +
+		'<meta property="mw:PageProp/toc" />';
+
+	it( 'should default to the wikitext preset', function () {
+		new DOMSanitizer().sanitizeHTML( '<p><a href="x">l</a></p>' )
+			.should.equal( '<p>&lt;a href="x"&gt;l&lt;/a&gt;</p>' );
+	} );
+
+	it( 'should allow Parsoid HTML', function () {
+		new DOMSanitizer( { preset: 'parsoid' } ).sanitizeHTML( parsoidHTML )
+			.should.equal( parsoidHTML );
+	} );
+
+	it( 'should only allow <link> and <meta> with Parsoid or microdata values', function () {
+		let sanitizer = new DOMSanitizer( { preset: 'parsoid' } );
+		[
+			'<link rel="mw:PageProp/Category" href="./Category:X" />',
+			'<meta itemprop="name" content="x" />'
+		].forEach( function ( html ) {
+			sanitizer.sanitizeHTML( html ).should.equal( html );
+		} );
+		[
+			'<link rel="stylesheet" href="https://evil.example/x.css">',
+			'<link rel="mw:PageProp/Category stylesheet" href="https://evil.example/x.css">',
+			'<link href="https://evil.example/x.css">',
+			// eslint-disable-next-line no-script-url
+			'<meta content="0;url=javascript:alert(1)">',
+			'<meta property="og:title" content="x">'
+		].forEach( function ( html ) {
+			sanitizer.sanitizeHTML( '<p>x' + html + '</p>' ).should.equal( '<p>x</p>' );
+		} );
+		new DOMSanitizer( { preset: 'parsoid' } ).validate( '<link rel="stylesheet" href="x.css">' )
+			.violations[ 0 ].rule.should.equal( 'metadata-tag' );
+	} );
+
+	it( 'should allow CX sections', function () {
+		let html = '<section rel="cx:Section" id="cxSourceSection1">' +
+			'<p><span class="cx-segment" data-segmentid="2">x</span></p></section>';
+		new DOMSanitizer( { preset: 'cx' } ).sanitizeHTML( html ).should.equal( html );
+		new DOMSanitizer( { preset: 'parsoid' } ).sanitizeHTML( html )
+			.should.equal( html.replace( ' rel="cx:Section"', '' ) );
+	} );
+
+	it( 'should round-trip CX markup', function () {
+		let html = '<section rel="cx:Section" id="cxSourceSection1" data-mw-cx-source="undefined" ' +
+			'data-mw-section-number="0"><h2 id="History">History</h2><p id="mwAg">' +
+			'<span class="cx-segment" data-segmentid="2"><b>Foo</b> is a <a class="cx-link" data-linkid="3" ' +
+			'rel="mw:WikiLink" href="./Bar" title="Bar" id="mwBw">bar</a>.</span>' +
+			'<sup about="#mwt1" class="mw-ref reference" id="cite_ref-1" rel="dc:references" ' +
+			'typeof="mw:Extension/ref" data-mw="{&quot;name&quot;:&quot;ref&quot;,&quot;attrs&quot;:{}}">' +
+			'<a href="./Foo#cite_note-1" style="counter-reset: mw-Ref 1;"><span class="mw-reflink-text">[1]</span>' +
+			'</a></sup></p></section>' +
+			'<section rel="cx:Section" id="cxSourceSection2"><figure class="mw-default-size cx-segment" ' +
+			'typeof="mw:File/Thumb" data-segmentid="5" id="mwAw"><a href="./File:X.jpg" class="mw-file-description">' +
+			'<img alt="An X" resource="./File:X.jpg" src="//upload.wikimedia.org/x/220px-X.jpg" ' +
+			'data-file-width="800" data-file-height="600" height="165" width="220" ' +
+			'srcset="//upload.wikimedia.org/x/440px-X.jpg 2x" class="mw-file-element" /></a>' +
+			'<figcaption>Caption</figcaption></figure></section>' +
+			'<section rel="cx:Section" id="cxSourceSection3"><ol class="mw-references references" ' +
+			'typeof="mw:Extension/references" about="#mwt2" data-mw="{&quot;name&quot;:&quot;references&quot;}">' +
+			'<li about="#cite_note-1" id="cite_note-1"><span rel="mw:referencedBy"><a href="./Foo#cite_ref-1">' +
+			'<span class="mw-linkback-text">↑ </span></a></span> <span id="mw-reference-text-cite_note-1" ' +
+			'class="mw-reference-text">Ref</span></li></ol></section>' +
+			'<section rel="cx:Section" id="cxSourceSection4"><table class="infobox" about="#mwt3" ' +
+			'typeof="mw:Transclusion" data-mw="{&quot;parts&quot;:[]}"><tbody><tr><th colspan="2">Foo</th></tr>' +
+			'</tbody></table><link rel="mw:PageProp/Category" href="./Category:X" id="mwCA" /></section>';
+		[ 'sax', 'html5' ].forEach( function ( parser ) {
+			new DOMSanitizer( { preset: 'cx', parser: parser } ).validate( html ).violations
+				.should.deep.equal( [] );
+			new DOMSanitizer( { preset: 'cx', parser: parser } ).sanitizeHTML( html ).should.equal( html );
+		} );
+	} );
+
+	it( 'should only allow inline formatting', function () {
+		new DOMSanitizer( { preset: 'inline' } )
+			.sanitizeHTML( '<b style="color:red" class="c" data-x="1">b</b><div>d</div>' )
+			.should.equal( '<b class="c">b</b>&lt;div&gt;d&lt;/div&gt;' );
+	} );
+
+	it( 'should apply policy options to the preset', function () {
+		new DOMSanitizer( { preset: 'parsoid', policy: { allowMicrodataAttrs: false } } )
+			.sanitizeHTML( '<a href="x" itemprop="y">l</a>' )
+			.should.equal( '<a href="x">l</a>' );
+	} );
+
+	it( 'should reject unknown presets', function () {
+		( function () {
+			PolicyPresets.build( 'nope' );
+		} ).should.throw( 'Invalid preset: nope' );
+	} );
+} );
+
+describe( 'LinkPolicy', function () {
+	function link( html, links ) {
+		return new DOMSanitizer( { preset: 'parsoid', policy: { links: links } } ).sanitizeHTML( html );
+	}
+
+	const links = {
+		rel: [ 'nofollow' ],
+		stripRel: [ 'opener' ],
+		classes: [ 'external' ],
+		internalDomains: [ 'example.org', '*.wikipedia.org' ]
+	};
+
+	it( 'should leave links alone by default', function () {
+		link( '<a href="http://example.com/" rel="mw:ExtLink">x</a>' )
+			.should.equal( '<a href="http://example.com/" rel="mw:ExtLink">x</a>' );
+	} );
+
+	it( 'should decorate external links', function () {
+		link( '<a href="http://example.com/" rel="mw:ExtLink opener">x</a>', links )
+			.should.equal( '<a href="http://example.com/" rel="mw:ExtLink nofollow" class="external">x</a>' );
+		link( '<a href="//example.com/">x</a>', links )
+			.should.equal( '<a href="//example.com/" rel="nofollow" class="external">x</a>' );
+	} );
+
+	it( 'should not decorate internal links', function () {
+		[
+			'<a href="http://example.org/">x</a>',
+			'<a href="https://en.wikipedia.org/wiki/X">x</a>',
+			'<a href="./Foo" rel="mw:WikiLink">x</a>',
+			'<a href="/wiki/Foo">x</a>'
+		].forEach( function ( html ) {
+			link( html, links ).should.equal( html );
+		} );
+		link( '<a href="http://wikipedia.org.example.com/">x</a>', links )
+			.should.equal( '<a href="http://wikipedia.org.example.com/" rel="nofollow" class="external">x</a>' );
+	} );
+
+	it( 'should add noopener to links with a target', function () {
+		link( '<a href="http://example.com/">x</a>', { target: '_blank' } )
+			.should.equal( '<a href="http://example.com/" rel="noopener noreferrer" target="_blank">x</a>' );
+		let policy = new PolicyBuilder( PolicyPresets.build( 'parsoid' ) )
+			.allowAttributes( 'a', [ 'target' ] )
+			.build();
+		sanitize( '<a href="http://example.com/" rel="noopener" target="x">x</a>', policy )
+			.should.equal( '<a href="http://example.com/" rel="noopener noreferrer" target="x">x</a>' );
+		// Internal links keep the target they were written with
+		policy = new PolicyBuilder( PolicyPresets.build( 'parsoid', { links: Object.assign( { target: '_blank' }, links ) } ) )
+			.allowAttributes( 'a', [ 'target' ] )
+			.build();
+		sanitize( '<a href="http://example.org/" target="x">x</a>', policy )
+			.should.equal( '<a href="http://example.org/" target="x" rel="noopener noreferrer">x</a>' );
+		sanitize( '<a href="./Foo" rel="mw:WikiLink" target="x">x</a>', policy )
+			.should.equal( '<a href="./Foo" rel="mw:WikiLink noopener noreferrer" target="x">x</a>' );
+		sanitize( '<a href="/wiki/Foo">x</a>', policy ).should.equal( '<a href="/wiki/Foo">x</a>' );
+	} );
+
+	it( 'should report changed attributes', function () {
+		new DOMSanitizer( { preset: 'parsoid', policy: { links: links } } )
+			.validate( '<a href="http://example.com/" rel="opener">x</a>' )
+			.violations[ 0 ].rule.should.equal( 'link-policy' );
+	} );
+} );
+
+describe( 'HostPolicy', function () {
+	const hosts = {
+		allowed: {
+			'img src': [ 'upload.example.org' ],
+			'* poster': [ '*.example.org' ]
+		},
+		blocked: [ 'evil.example', '*.evil.example' ],
+		ipLiterals: false
+	};
+
+	function clean( html ) {
+		return new DOMSanitizer( { preset: 'parsoid', policy: { hosts: hosts } } ).sanitizeHTML( html );
+	}
+
+	it( 'should allow everything by default', function () {
+		new DOMSanitizer( { preset: 'parsoid' } ).sanitizeHTML( '<img src="http://127.0.0.1/a.png">' )
+			.should.equal( '<img src="http://127.0.0.1/a.png" />' );
+	} );
+
+	it( 'should only allow listed hosts where there is a list', function () {
+		clean( '<img src="https://upload.example.org/a.png">' )
+			.should.equal( '<img src="https://upload.example.org/a.png" />' );
+		clean( '<img src="//UPLOAD.example.org/a.png">' )
+			.should.equal( '<img src="//upload.example.org/a.png" />' );
+		clean( '<img src="a.png">' ).should.equal( '<img src="a.png" />' );
+		clean( '<img src="https://example.com/a.png">' ).should.equal( '<img />' );
+		clean( '<video poster="https://media.example.org/a.png"></video>' )
+			.should.equal( '<video poster="https://media.example.org/a.png"></video>' );
+		clean( '<video poster="https://example.org/a.png"></video>' ).should.equal( '<video></video>' );
+		clean( '<a href="https://example.com/">x</a>' ).should.equal( '<a href="https://example.com/">x</a>' );
+	} );
+
+	it( 'should apply the rules of src to srcset', function () {
+		clean( '<img srcset="https://upload.example.org/a.png 1x, https://example.com/b.png 2x">' )
+			.should.equal( '<img srcset="https://upload.example.org/a.png 1x" />' );
+	} );
+
+	it( 'should reject blocked domains and IP addresses', function () {
+		[
+			'http://evil.example/', 'http://www.EVIL.example/', 'http://127.0.0.1/',
+			'http://0x7f.1/', 'http://[::1]/', 'http://2130706433/'
+		].forEach( function ( href ) {
+			clean( '<a href="' + href + '">x</a>' ).should.equal( '<a>x</a>' );
+		} );
+	} );
+
+	it( 'should block the subdomains of blocked hosts', function () {
+		let sanitizer = new DOMSanitizer( { preset: 'parsoid', policy: { hosts: { blocked: [ 'evil.com' ] } } } );
+		[ 'http://evil.com/', 'http://a.evil.com/', 'http://a.b.EVIL.com./' ].forEach( function ( href ) {
+			sanitizer.sanitizeHTML( '<a href="' + href + '">x</a>' ).should.equal( '<a>x</a>' );
+		} );
+		[ 'http://notevil.com/', 'http://evil.com.example/' ].forEach( function ( href ) {
+			sanitizer.sanitizeHTML( '<a href="' + href + '">x</a>' ).should.equal( '<a href="' + href + '">x</a>' );
+		} );
+	} );
+
+	it( 'should record what it rejected', function () {
+		let report = new DOMSanitizer( { preset: 'parsoid', policy: { hosts: hosts } } )
+			.sanitizeHTML( '<a href="http://evil.example/">x</a>', { report: true } ).report;
+		report.length.should.equal( 1 );
+		report[ 0 ].value.should.equal( 'http://evil.example/' );
+		report[ 0 ].rule.should.equal( 'url-host' );
+	} );
+} );
+
+describe( 'IdnPolicy', function () {
+	function clean( html, idn ) {
+		return new DOMSanitizer( { preset: 'parsoid', policy: { idn: idn } } ).sanitizeHTML( html );
+	}
+
+	function link( href, idn ) {
+		return clean( '<a href="' + href + '">x</a>', idn );
+	}
+
+	it( 'should leave hosts in punycode by default', function () {
+		link( 'http://p\u0430ypal.com/' ).should.equal( '<a href="http://xn--pypal-4ve.com/">x</a>' );
+	} );
+
+	it( 'should tell the restriction level of labels', function () {
+		[
+			[ 'example', 'ascii' ],
+			[ 'b\u00fccher', 'single-script' ],
+			[ '\u0430\u0440\u0440\u04cf\u0435', 'single-script' ],
+			[ '\u3072\u3089\u304c\u306aabc\u6f22\u5b57', 'highly-restrictive' ],
+			[ 'abc\u0939\u093f\u0928\u094d\u0926\u0940', 'moderately-restrictive' ],
+			[ 'p\u0430ypal', 'minimally-restrictive' ],
+			[ '\u03b1\u0430', 'minimally-restrictive' ],
+			// Kirat Rai and Garay, new in Unicode 16
+			[ '\u{16d40}\u{16d41}', 'single-script' ],
+			[ '\u{16d40}\u{10d4a}', 'minimally-restrictive' ]
+		].forEach( function ( test ) {
+			IdnPolicy.restrictionLevel( test[ 0 ] ).should.equal( test[ 1 ] );
+		} );
+	} );
+
+	it( 'should reject mixed-script hosts and whole-script confusables', function () {
+		let idn = { action: 'reject' };
+		link( 'http://p\u0430ypal.com/', idn ).should.equal( '<a>x</a>' );
+		link( 'http://xn--pypal-4ve.com/', idn ).should.equal( '<a>x</a>' );
+		link( 'http://\u0430\u0440\u0440\u04cf\u0435.com/', idn ).should.equal( '<a>x</a>' );
+		clean( '<img srcset="http://p\u0430ypal.com/a.png 1x, b.png 2x">', idn )
+			.should.equal( '<img srcset="b.png 2x" />' );
+	} );
+
+	it( 'should give lookalikes the same skeleton', function () {
+		[
+			[ '\u0261oogle', 'google' ],
+			[ '\u0455\u0441\u043e\u0440\u0435', 'scope' ],
+			[ '\u0131bm', 'ibrn' ],
+			[ 'b\u00fccher', 'bu\u0308cher' ]
+		].forEach( function ( test ) {
+			IdnPolicy.skeleton( test[ 0 ] ).should.equal( test[ 1 ] );
+		} );
+	} );
+
+	it( 'should catch single-script labels that look like ASCII ones', function () {
+		let idn = { action: 'reject' };
+		link( 'http://\u0261oogle.com/', idn ).should.equal( '<a>x</a>' );
+		link( 'http://\u0455\u0441\u043e\u0440\u0435.com/', idn ).should.equal( '<a>x</a>' );
+		link( 'http://caf\u00e9.com/', idn ).should.equal( '<a href="http://caf\u00e9.com/">x</a>' );
+		link( 'http://\u0440\u043e\u0441\u0441\u0438\u044f.com/', idn )
+			.should.equal( '<a href="http://\u0440\u043e\u0441\u0441\u0438\u044f.com/">x</a>' );
+	} );
+
+	it( 'should write hosts that pass in Unicode', function () {
+		let idn = { action: 'reject' };
+		link( 'http://xn--bcher-kva.example/', idn ).should.equal( '<a href="http://b\u00fccher.example/">x</a>' );
+		// Cyrillic lookalikes under a Cyrillic TLD
+		link( 'http://\u0430\u0440\u0440\u04cf\u0435.\u0440\u0444/', idn )
+			.should.equal( '<a href="http://\u0430\u0440\u0440\u04cf\u0435.\u0440\u0444/">x</a>' );
+		link( 'http://example.org/', idn ).should.equal( '<a href="http://example.org/">x</a>' );
+	} );
+
+	it( 'should apply the restriction level and confusable option', function () {
+		let mixed = 'http://abc\u0939\u093f\u0928\u094d\u0926\u0940.com/';
+		link( mixed, { action: 'reject' } ).should.equal( '<a href="' + mixed + '">x</a>' );
+		link( mixed, { action: 'reject', level: 'highly-restrictive' } ).should.equal( '<a>x</a>' );
+		link( 'http://\u03bf\u03c1\u03b1.com/', { action: 'reject', confusables: false } )
+			.should.equal( '<a href="http://\u03bf\u03c1\u03b1.com/">x</a>' );
+	} );
+
+	it( 'should keep suspicious hosts in punycode', function () {
+		link( 'http://p\u0430ypal.com/', { action: 'punycode' } )
+			.should.equal( '<a href="http://xn--pypal-4ve.com/">x</a>' );
+	} );
+
+	it( 'should flag suspicious hosts in the report', function () {
+		let result = new DOMSanitizer( { preset: 'parsoid', policy: { idn: { action: 'flag' } } } )
+			.sanitizeHTML( '<a href="http://xn--pypal-4ve.com/">x</a>', { report: true } );
+		result.html.should.equal( '<a href="http://p\u0430ypal.com/">x</a>' );
+		result.report.length.should.equal( 1 );
+		result.report[ 0 ].value.should.equal( 'http://xn--pypal-4ve.com/' );
+		result.report[ 0 ].action.should.equal( 'flagged' );
+		result.report[ 0 ].rule.should.equal( 'url-idn' );
+	} );
+} );
+
+describe( 'Policy classes', function () {
+	// Each class with the SanitizerPolicy option it is compiled from, a
+	// full set of options other than the defaults, and invalid options
+	// with the error they raise
+	[
+		{
+			Policy: LinkPolicy,
+			option: 'links',
+			get: function ( policy ) {
+				return policy.links;
+			},
+			options: {
+				rel: [ 'nofollow' ],
+				stripRel: [ 'opener' ],
+				classes: [ 'external' ],
+				target: '_blank',
+				internalDomains: [ 'example.org', '*.wikipedia.org' ]
+			},
+			invalid: [
+				[ { rel: [ 'no follow' ] }, 'Invalid rel token: no follow' ],
+				[ { internalDomains: [ 'http://example.org/' ] }, 'Invalid domain: http://example.org/' ],
+				[ { target: '' }, 'Invalid link target: ' ]
+			]
+		},
+		{
+			Policy: HostPolicy,
+			option: 'hosts',
+			get: function ( policy ) {
+				return policy.hosts;
+			},
+			options: {
+				allowed: {
+					'img src': [ 'upload.example.org' ],
+					'* poster': [ '*.example.org' ]
+				},
+				blocked: [ 'evil.example', '*.evil.example' ],
+				ipLiterals: false
+			},
+			invalid: [
+				[ { allowed: { img: [] } }, 'Invalid host rule: img' ],
+				[ { blocked: [ '*' ] }, 'Invalid domain: *' ],
+				[ { allowed: [] }, 'Invalid host rules: ' ]
+			]
+		},
+		{
+			Policy: IdnPolicy,
+			option: 'idn',
+			get: function ( policy ) {
+				return policy.idn;
+			},
+			options: { action: 'flag', level: 'single-script', confusables: false },
+			invalid: [
+				[ { action: 'drop' }, 'Invalid IDN action: drop' ],
+				[ { level: 'strict' }, 'Invalid restriction level: strict' ]
+			]
+		},
+		{
+			Policy: CSSLayoutRules,
+			option: 'cssLayout',
+			get: function ( policy ) {
+				return policy.css.layout;
+			},
+			options: { positions: [ 'static', 'relative' ], maxZIndex: 10, maxOffset: null, maxScale: 1.5 },
+			invalid: [
+				[ { maxZIndex: -1 }, 'Invalid CSS layout limit: maxZIndex' ],
+				[ { positions: 'static' }, 'Invalid CSS position list: static' ]
+			]
+		},
+		{
+			Policy: CSSUrlPolicy,
+			option: 'cssUrls',
+			get: function ( policy ) {
+				return policy.css.urls;
+			},
+			options: {
+				allowed: [ 'https://upload.example.org/wikipedia/', 'https://static.example.org/images' ],
+				base: 'https://en.example.org/wiki/Foo'
+			},
+			invalid: [
+				[ { allowed: [ 'ftp://x/' ] }, 'Invalid CSS URL: ftp://x/' ],
+				[ { allowed: 'https://x/' }, 'Invalid CSS URL list: https://x/' ],
+				[ { base: 'x' }, 'Invalid CSS base URL: x' ]
+			]
+		}
+	].forEach( function ( test ) {
+		let name = test.Policy.name;
+
+		it( 'should keep the options of ' + name + ' through PolicyBuilder', function () {
+			let config = {};
+			config[ test.option ] = test.options;
+			let built = test.get( new PolicyBuilder( config ).build() );
+			built.should.be.an.instanceof( test.Policy );
+			built.toOptions().should.deep.equal( test.options );
+			// And again when extending the built policy
+			test.get( new PolicyBuilder( new PolicyBuilder( config ).build() ).build() ).toOptions()
+				.should.deep.equal( test.options );
+		} );
+
+		it( 'should validate the options of ' + name, function () {
+			test.invalid.forEach( function ( invalid ) {
+				( function () {
+					return new test.Policy( invalid[ 0 ] );
+				} ).should.throw( invalid[ 1 ] );
+			} );
+		} );
+	} );
+} );
@@ -3,6 +3,7 @@
 'use strict';
 
 const should = require( 'chai' ).should(),
+	SrcsetParser = require( '../lib/SrcsetParser' ),
 	TokenSanitizer = require( '../lib/TokenSanitizer' ),
 	Tokens = require( '../lib/Tokens' );
 
@@ -30,4 +31,54 @@ describe( 'Sanitizer', function () {
 		token.getAttribute( '搭𨋢' ).should.equal( 'bar' );
 		should.equal( token.getAttribute( 'ńgh' ), null );
 	} );
+
+	it( 'should decode character references the way browsers do', function () {
+		[
+			// eslint-disable-next-line no-script-url
+			[ 'javascript&colon;&lpar;&NewLine;&Tab;&fjlig;', 'javascript:(\n\tfj' ],
+			[ '&copy 2019 &notit; &ampx &AMP', '© 2019 ¬it; &x &' ],
+			[ '&foo; &constructor; &#106;&#x41;', '&foo; &constructor; jA' ],
+			[ '&Amp; &lT; &#65&#x42 &#x; &#0;&#xD800;&#x110000;&#128;&#x81;', '&Amp; &lT; AB &#x; ���€\x81' ]
+		].forEach( function ( test ) {
+			TokenSanitizer.decodeCharReferences( test[ 0 ] ).should.equal( test[ 1 ] );
+		} );
+		// Legacy references followed by = or an alphanumeric are left alone
+		// in attribute values
+		TokenSanitizer.decodeCharReferences( '?a=1&copy=2&notit;&amp x', true )
+			.should.equal( '?a=1&copy=2&notit;& x' );
+	} );
+} );
+
+describe( 'SrcsetParser', function () {
+	function urls( srcset ) {
+		return SrcsetParser.parse( srcset ).map( function ( candidate ) {
+			return candidate.url;
+		} );
+	}
+
+	it( 'should parse candidates with their descriptors', function () {
+		SrcsetParser.parse( ' a.png 100w 50h,\nb.png 1.5x, c.png' ).should.deep.equal( [
+			{ url: 'a.png', width: 100, density: null, height: 50 },
+			{ url: 'b.png', width: null, density: 1.5, height: null },
+			{ url: 'c.png', width: null, density: null, height: null }
+		] );
+	} );
+
+	it( 'should split candidates the way browsers do', function () {
+		urls( 'a.png,b.png 2x' ).should.deep.equal( [ 'a.png,b.png' ] );
+		urls( 'a.png,, b.png' ).should.deep.equal( [ 'a.png', 'b.png' ] );
+		urls( 'a.png 1x (foo, bar), b.png 2x' ).should.deep.equal( [ 'b.png' ] );
+	} );
+
+	it( 'should drop candidates with invalid descriptors', function () {
+		urls( 'a.png 1x 2x, b.png 0w, c.png 10w 1x, d.png 10h, e.png -1x, f.png 1.5w, g.png 1y, h.png 2x' )
+			.should.deep.equal( [ 'h.png' ] );
+	} );
+
+	it( 'should serialize candidates', function () {
+		SrcsetParser.serialize( SrcsetParser.parse( 'a.png   100w 50h , b.png 2.0x,,c.png' ) )
+			.should.equal( 'a.png 100w 50h, b.png 2x, c.png' );
+		SrcsetParser.serialize( [ { url: ',a,', width: null, density: 1, height: null } ] )
+			.should.equal( '%2Ca%2C 1x' );
+	} );
 } );